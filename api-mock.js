@@ -0,0 +1,820 @@
+/**
+ * ADT Pulse Mock.
+ *
+ * Emulates the ADT Pulse portal on your computer, so "api.js" and "index.js" can be tested without touching a real alarm.
+ *
+ * Arguments:
+ *     --port               Port to listen on (optional, defaults to 8080)
+ *     --scenario           Path to a JSON file with the portal state (optional, defaults to the built-in state)
+ *
+ * Usage:
+ *     node api-mock --port ! --scenario %
+ *     node api-test --username email@email.com --password 1234567890 --fingerprint mock-fingerprint --country us --baseUrl http://localhost:! --action @
+ *
+ * Replace:
+ *     ! - Port
+ *     % - Scenario file
+ *     @ - Action type
+ *
+ * Scenario file:
+ *     {
+ *       "version": "24.0.0-117",
+ *       "username": "email@email.com",
+ *       "password": "1234567890",
+ *       "fingerprints": ["mock-fingerprint"],
+ *       "otp": "123456",
+ *       "commandDelay": 0,
+ *       "exitDelay": 0,
+ *       "sites": [
+ *         {
+ *           "id": "160301z123456",
+ *           "name": "Home",
+ *           "panel": { "state": "disarmed", "alarm": null, "unclearedAlarm": false, "entryDelay": false },
+ *           "zones": [{ "id": 1, "deviceId": 2, "name": "Front Door", "deviceType": "Door/Window Sensor", "state": "devStatOK", "bypassed": false }]
+ *         }
+ *       ]
+ *     }
+ *
+ * Control endpoints (scripting the portal state while it runs):
+ *     GET  /mock/state                Returns the current state.
+ *     POST /mock/panel?site=#         Merges a JSON body into the panel (e.g. {"alarm": "burglary"} or {"entryDelay": true}).
+ *     POST /mock/zones/$?site=#       Merges a JSON body into zone $ (e.g. {"state": "devStatOpen"}).
+ *     POST /mock/sessions/expire      Signs out every session (the next request redirects to the sign-in page).
+ *
+ * Replace:
+ *     # - Site ID (optional, defaults to the first site)
+ *     $ - Zone number
+ *
+ * @type {function(object): void}
+ *
+ * @since 2.2.0
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const querystring = require('querystring');
+const _ = require('lodash');
+
+/**
+ * Script arguments.
+ *
+ * @since 2.2.0
+ */
+const port = process.argv.indexOf('--port');
+const portValue = (port > -1) ? process.argv[port + 1] : '8080';
+
+const scenario = process.argv.indexOf('--scenario');
+const scenarioValue = (scenario > -1) ? process.argv[scenario + 1] : '';
+
+/**
+ * Mock portal constructor.
+ *
+ * @param {object} state - The portal state (see "Scenario file" above).
+ *
+ * @constructor
+ *
+ * @since 2.2.0
+ */
+function MockPortal(state) {
+  this.state = _.defaults(state, {
+    version: '24.0.0-117',
+    username: 'email@email.com',
+    password: '1234567890',
+    fingerprints: ['mock-fingerprint'],
+    otp: '123456',
+    commandDelay: 0,
+    exitDelay: 0,
+    sites: [
+      {
+        id: '160301z123456',
+        name: 'Home',
+        panel: {
+          state: 'disarmed',
+          alarm: null,
+          unclearedAlarm: false,
+          entryDelay: false,
+        },
+        zones: [
+          {
+            id: 1,
+            name: 'Front Door',
+            deviceType: 'Door/Window Sensor',
+            state: 'devStatOK',
+          },
+          {
+            id: 2,
+            name: 'Back Door',
+            deviceType: 'Door/Window Sensor',
+            state: 'devStatOK',
+          },
+          {
+            id: 3,
+            name: 'Living Room Motion',
+            deviceType: 'Motion Sensor',
+            state: 'devStatOK',
+          },
+          {
+            id: 4,
+            name: 'Kitchen Glass',
+            deviceType: 'Glass Break Detector',
+            state: 'devStatOK',
+          },
+          {
+            id: 5,
+            name: 'Hallway Smoke',
+            deviceType: 'Fire (Smoke/Heat) Detector',
+            state: 'devStatOK',
+          },
+          {
+            id: 6,
+            name: 'Basement Gas',
+            deviceType: 'Carbon Monoxide Detector',
+            state: 'devStatOK',
+          },
+        ],
+      },
+    ],
+  });
+
+  _.forEach(this.state.sites, (site) => {
+    _.defaultsDeep(site, {
+      panel: {
+        state: 'disarmed',
+        alarm: null,
+        unclearedAlarm: false,
+        entryDelay: false,
+      },
+      zones: [],
+    });
+
+    // Device IDs follow the security panel (device 1), unless the scenario says otherwise.
+    _.forEach(site.zones, (zone) => _.defaults(zone, {
+      deviceId: zone.id + 1,
+      state: 'devStatOK',
+      bypassed: false,
+    }));
+  });
+
+  // Session ID to session data ("authenticated", "siteId", "sat").
+  this.sessions = {};
+
+  // Site ID to exit delay countdown.
+  this.exitDelayTimers = {};
+
+  // Bumped on every change, so "Ajax/SyncCheckServ" tells clients to refresh.
+  this.syncCounter = 1;
+
+  this.server = http.createServer((req, res) => this.handleRequest(req, res));
+}
+
+/**
+ * Start listening.
+ *
+ * @param {number} thePort - The port.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.listen = function listen(thePort) {
+  this.server.listen(thePort, () => {
+    this.consoleLogger(`ADT Pulse Mock: Listening on http://localhost:${thePort} (portal version ${this.state.version}).`);
+  });
+};
+
+/**
+ * Handle request.
+ *
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse}  res - The response.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.handleRequest = function handleRequest(req, res) {
+  let rawBody = '';
+
+  req.on('data', (chunk) => {
+    rawBody += chunk;
+  });
+
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    const query = querystring.parse(url.search.replace(/^\?/, ''));
+    const prefix = `/myhome/${this.state.version}`;
+    const session = this.getSession(req, res);
+    const route = url.pathname.replace(prefix, '');
+
+    this.consoleLogger(`ADT Pulse Mock: ${req.method} ${url.pathname}${url.search}`);
+
+    // Control endpoints.
+    if (url.pathname.startsWith('/mock/')) {
+      this.handleControl(req, res, url, query, rawBody);
+      return;
+    }
+
+    if (url.pathname === '/' || url.pathname === '/myhome/' || route === '/') {
+      this.redirect(res, `${prefix}/access/signin.jsp`);
+      return;
+    }
+
+    if (!url.pathname.startsWith(prefix)) {
+      this.send(res, 404, '<html><body>Not Found</body></html>');
+      return;
+    }
+
+    const body = (req.method === 'POST') ? querystring.parse(rawBody) : {};
+
+    // Pages available without signing in.
+    switch (route) {
+      case '/access/signin.jsp':
+        if (req.method === 'POST') {
+          this.signIn(res, session, body);
+        } else {
+          this.send(res, 200, this.renderSignIn(''));
+        }
+        return;
+      case '/access/signout.jsp':
+        _.set(session, 'authenticated', false);
+        _.set(session, 'mfaPending', false);
+        this.redirect(res, `${prefix}/access/signin.jsp?e=ns&partner=adt`);
+        return;
+      case '/mfa/mfaSignIn.jsp':
+      case '/mfa/sendOtp.jsp':
+      case '/mfa/validateOtp.jsp':
+      case '/mfa/trustDevice.jsp':
+        this.handleMfa(res, session, route, body);
+        return;
+      default:
+        break;
+    }
+
+    if (!session.authenticated) {
+      this.redirect(res, `${prefix}/access/signin.jsp?e=ns&partner=adt`);
+      return;
+    }
+
+    const site = this.getSite(session.siteId);
+
+    switch (route) {
+      case '/summary/summary.jsp':
+        this.send(res, 200, this.renderSummary(session, site));
+        break;
+      case '/access/switchSite.jsp':
+        if (this.getSite(query.networkid).id === query.networkid) {
+          _.set(session, 'siteId', query.networkid);
+        }
+        this.redirect(res, `${prefix}/summary/summary.jsp`);
+        break;
+      case '/ajax/orb.jsp':
+        this.send(res, 200, this.renderOrb(site));
+        break;
+      case '/Ajax/SyncCheckServ':
+        this.send(res, 200, `${this.syncCounter}-0-0`);
+        break;
+      case '/system/device.jsp':
+        this.send(res, 200, this.renderDevice(site, query.id));
+        break;
+      case '/quickcontrol/armDisarm.jsp':
+        this.armDisarm(res, session, site, query);
+        break;
+      case '/quickcontrol/serv/RunRRACommand':
+        if (query.sat !== session.sat) {
+          this.send(res, 200, '<html><body><div id="warnMsgContents" class="p_signinWarning">Invalid request.</div></body></html>');
+        } else if (query.href === 'rest/adt/ui/client/security/setBypass') {
+          this.setZoneBypass(res, site, query);
+        } else {
+          this.setArmState(site, query.arm);
+          this.send(res, 200, 'OK');
+        }
+        break;
+      default:
+        this.send(res, 404, '<html><body>Not Found</body></html>');
+        break;
+    }
+  });
+};
+
+/**
+ * Handle control endpoints.
+ *
+ * @param {http.IncomingMessage} req     - The request.
+ * @param {http.ServerResponse}  res     - The response.
+ * @param {URL}                  url     - The parsed URL.
+ * @param {object}               query   - The query string.
+ * @param {string}               rawBody - The request body.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.handleControl = function handleControl(req, res, url, query, rawBody) {
+  const site = this.getSite(query.site);
+  const zoneMatch = url.pathname.match(/^\/mock\/zones\/([0-9]+)$/);
+
+  let changes;
+
+  try {
+    changes = (rawBody) ? JSON.parse(rawBody) : {};
+  } catch (error) {
+    this.sendJson(res, 400, { error: 'Body must be JSON.' });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/mock/state') {
+    this.sendJson(res, 200, this.state);
+  } else if (req.method === 'POST' && url.pathname === '/mock/panel') {
+    _.assign(site.panel, changes);
+    this.syncCounter += 1;
+    this.sendJson(res, 200, site.panel);
+  } else if (req.method === 'POST' && zoneMatch !== null) {
+    const zone = _.find(site.zones, (theZone) => `${theZone.id}` === zoneMatch[1]);
+
+    if (zone === undefined) {
+      this.sendJson(res, 404, { error: `Zone ${zoneMatch[1]} not found.` });
+      return;
+    }
+
+    _.assign(zone, changes);
+    this.syncCounter += 1;
+    this.sendJson(res, 200, zone);
+  } else if (req.method === 'POST' && url.pathname === '/mock/sessions/expire') {
+    _.forEach(this.sessions, (session) => {
+      _.set(session, 'authenticated', false);
+    });
+    this.sendJson(res, 200, { expired: _.size(this.sessions) });
+  } else {
+    this.sendJson(res, 404, { error: 'Unknown control endpoint.' });
+  }
+};
+
+/**
+ * Sign in.
+ *
+ * @param {http.ServerResponse} res     - The response.
+ * @param {object}              session - The session.
+ * @param {object}              body    - The sign in form.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.signIn = function signIn(res, session, body) {
+  const prefix = `/myhome/${this.state.version}`;
+
+  if (body.usernameForm !== this.state.username || body.passwordForm !== this.state.password) {
+    this.send(res, 200, this.renderSignIn('Sign In unsuccessful.<br>Your username or password is incorrect.'));
+  } else if (!this.state.fingerprints.includes(body.fingerprint)) {
+    _.set(session, 'mfaPending', true);
+    this.redirect(res, `${prefix}/mfa/mfaSignIn.jsp?workflow=challenge`);
+  } else {
+    this.authenticate(session);
+    this.redirect(res, `${prefix}/summary/summary.jsp`);
+  }
+};
+
+/**
+ * Handle 2-factor authentication pages.
+ *
+ * @param {http.ServerResponse} res     - The response.
+ * @param {object}              session - The session.
+ * @param {string}              route   - The page path after the version.
+ * @param {object}              body    - The form.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.handleMfa = function handleMfa(res, session, route, body) {
+  const prefix = `/myhome/${this.state.version}`;
+
+  if (!session.mfaPending) {
+    this.redirect(res, `${prefix}/access/signin.jsp?e=ns&partner=adt`);
+    return;
+  }
+
+  switch (route) {
+    case '/mfa/sendOtp.jsp':
+      this.consoleLogger(`ADT Pulse Mock: Verification code sent via ${body.deliveryMethod} -> ${this.state.otp}`);
+      this.send(res, 200, '<html><body>Verification code sent.</body></html>');
+      break;
+    case '/mfa/validateOtp.jsp':
+      if (body.otp === this.state.otp) {
+        _.set(session, 'otpValidated', true);
+        this.redirect(res, `${prefix}/mfa/trustDevice.jsp`);
+      } else {
+        this.send(res, 200, this.renderSignIn('The verification code is incorrect.'));
+      }
+      break;
+    case '/mfa/trustDevice.jsp':
+      if (!session.otpValidated || !body.fingerprint) {
+        this.send(res, 200, '<html><body>Trust this device?</body></html>');
+      } else {
+        this.state.fingerprints.push(body.fingerprint);
+        this.authenticate(session);
+        this.redirect(res, `${prefix}/summary/summary.jsp`);
+      }
+      break;
+    default:
+      this.send(res, 200, '<html><body>Enter your verification code.</body></html>');
+      break;
+  }
+};
+
+/**
+ * Arm or disarm from the quick control page.
+ *
+ * @param {http.ServerResponse} res     - The response.
+ * @param {object}              session - The session.
+ * @param {object}              site    - The site.
+ * @param {object}              query   - The query string ("armstate", "arm", and "sat").
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.armDisarm = function armDisarm(res, session, site, query) {
+  const prefix = `/myhome/${this.state.version}`;
+  const openZones = _.filter(site.zones, (zone) => ['devStatOpen', 'devStatMotion'].includes(zone.state) && !zone.bypassed);
+
+  if (query.sat !== session.sat) {
+    this.send(res, 200, '<html><body><div id="warnMsgContents" class="p_signinWarning">Invalid request.</div></body></html>');
+  } else if (site.panel.state === 'unavailable') {
+    this.send(res, 200, '<html><body><div id="warnMsgContents" class="p_signinWarning">The system is unavailable.</div></body></html>');
+  } else if (query.armstate === 'disarmed+with+alarm' || query.armstate === 'disarmed with alarm') {
+    _.assign(site.panel, { alarm: null, unclearedAlarm: false });
+    this.syncCounter += 1;
+    this.send(res, 200, '<html><body>Alarm cleared.</body></html>');
+  } else if (['away', 'stay', 'night'].includes(query.arm) && openZones.length > 0) {
+    // The portal asks before arming with open sensors.
+    const forceUrl = `${prefix}/quickcontrol/serv/RunRRACommand?sat=${session.sat}&href=rest/adt/ui/client/security/setForceArm&armstate=forcearm&arm=${query.arm}`;
+    const zoneList = _.map(openZones, (zone) => `<li>${zone.name}</li>`).join('');
+
+    this.send(res, 200, [
+      '<html><body>',
+      '<div class="p_armDisarmWrapper">Some sensors are open or reporting motion.</div>',
+      `<ul>${zoneList}</ul>`,
+      `<input type="button" id="arm_button_1" value="Arm Anyway" onclick="return armDisarmRRAForceArm('${forceUrl}')">`,
+      '<input type="button" id="arm_button_2" value="Cancel" onclick="return closeModal()">',
+      '</body></html>',
+    ].join(''));
+  } else {
+    this.setArmState(site, query.arm);
+    this.send(res, 200, '<html><body>Command sent.</body></html>');
+  }
+};
+
+/**
+ * Change the panel state (after "commandDelay" seconds, plus "exitDelay" seconds when arming).
+ *
+ * @param {object} site - The site.
+ * @param {string} arm  - Can be "off", "away", "stay", or "night".
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.setArmState = function setArmState(site, arm) {
+  const newState = (arm === 'off') ? 'disarmed' : arm;
+
+  if (!['disarmed', 'away', 'stay', 'night'].includes(newState)) {
+    return;
+  }
+
+  // A new command cancels the exit delay countdown.
+  clearTimeout(this.exitDelayTimers[site.id]);
+
+  setTimeout(() => {
+    // Disarming an active alarm leaves it uncleared.
+    if (newState === 'disarmed' && site.panel.alarm) {
+      _.assign(site.panel, { alarm: null, unclearedAlarm: true });
+    }
+
+    // Disarming clears every bypass.
+    if (newState === 'disarmed') {
+      _.forEach(site.zones, (zone) => _.set(zone, 'bypassed', false));
+    }
+
+    if (newState !== 'disarmed' && this.state.exitDelay > 0) {
+      _.set(site, 'panel.state', `arming-${newState}`);
+      this.exitDelayTimers[site.id] = setTimeout(() => {
+        _.set(site, 'panel.state', newState);
+        this.syncCounter += 1;
+
+        this.consoleLogger(`ADT Pulse Mock: ${site.name} is now "${newState}".`);
+      }, this.state.exitDelay * 1000);
+    } else {
+      _.assign(site.panel, { state: newState, entryDelay: false });
+    }
+
+    this.syncCounter += 1;
+
+    this.consoleLogger(`ADT Pulse Mock: ${site.name} is now "${site.panel.state}".`);
+  }, this.state.commandDelay * 1000);
+};
+
+/**
+ * Bypass (or unbypass) a zone.
+ *
+ * @param {http.ServerResponse} res   - The response.
+ * @param {object}              site  - The site.
+ * @param {object}              query - The query string ("zone" and "bypass").
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.setZoneBypass = function setZoneBypass(res, site, query) {
+  const zone = _.find(site.zones, { id: Number(query.zone) });
+
+  if (zone === undefined) {
+    this.send(res, 200, '<html><body><div id="warnMsgContents" class="p_signinWarning">Zone not found.</div></body></html>');
+    return;
+  }
+
+  _.set(zone, 'bypassed', query.bypass === 'true');
+  this.syncCounter += 1;
+
+  this.consoleLogger(`ADT Pulse Mock: ${zone.name} is ${(zone.bypassed) ? 'bypassed' : 'no longer bypassed'}.`);
+
+  this.send(res, 200, 'OK');
+};
+
+/**
+ * Render sign in page.
+ *
+ * @param {string} message - The warning message.
+ *
+ * @returns {string}
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.renderSignIn = function renderSignIn(message) {
+  const warning = (message) ? `<div id="warnMsgContents" class="p_signinWarning">${message}</div>` : '';
+
+  return [
+    '<html><body>',
+    warning,
+    '<form method="post">',
+    '<input type="text" name="usernameForm"><input type="password" name="passwordForm"><input type="hidden" name="fingerprint">',
+    '</form>',
+    '</body></html>',
+  ].join('');
+};
+
+/**
+ * Render summary page.
+ *
+ * @param {object} session - The session.
+ * @param {object} site    - The site.
+ *
+ * @returns {string}
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.renderSummary = function renderSummary(session, site) {
+  const prefix = `/myhome/${this.state.version}`;
+  const siteSelect = (this.state.sites.length > 1) ? [
+    '<select id="p_siteSelect">',
+    _.map(this.state.sites, (theSite) => `<option value="${theSite.id}"${(theSite.id === site.id) ? ' selected' : ''}>${theSite.name}</option>`).join(''),
+    '</select>',
+  ].join('') : '';
+  const buttons = (site.panel.state === 'disarmed') ? [
+    ['Arm Away', 'away'],
+    ['Arm Stay', 'stay'],
+    ['Arm Night', 'night'],
+  ] : [
+    ['Disarm', 'off'],
+  ];
+
+  return [
+    '<html><body>',
+    `<a id="p_signout1" href="${prefix}/access/signout.jsp?networkid=${site.id}&partner=adt">Sign Out</a>`,
+    `<span id="p_siteName">${site.name}</span>`,
+    siteSelect,
+    _.map(buttons, ([label, arm], index) => {
+      const armState = (site.panel.state === 'disarmed') ? 'disarmed' : site.panel.state;
+      const href = `${prefix}/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=${armState}&arm=${arm}&sat=${session.sat}`;
+
+      return `<input type="button" id="security_button_${index + 1}" value="${label}" onclick="setArmState('${href}')">`;
+    }).join(''),
+    this.renderOrb(site),
+    '</body></html>',
+  ].join('');
+};
+
+/**
+ * Render orb (security panel and sensors).
+ *
+ * @param {object} site - The site.
+ *
+ * @returns {string}
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.renderOrb = function renderOrb(site) {
+  const rows = _.map(site.zones, (zone) => [
+    '<tr class="p_listRow">',
+    `<td><span class="devStatIcon"><canvas icon="${zone.state}"></canvas></span></td>`,
+    `<td><a class="p_deviceNameText" href="javascript:leaveOrb();goToUrl('/myhome/${this.state.version}/system/device.jsp?id=${zone.deviceId}');">${zone.name}</a></td>`,
+    `<td><span class="p_grayNormalText">Zone&nbsp;${zone.id}</span></td>`,
+    '</tr>',
+  ].join(''));
+
+  return [
+    `<div id="divOrbTextSummary"><span>${this.getTextSummary(site)}</span></div>`,
+    `<div id="orbSensorsList"><table>${rows.join('')}</table></div>`,
+  ].join('');
+};
+
+/**
+ * Render device page.
+ *
+ * @param {object} site - The site.
+ * @param {string} id   - The device ID ("1" is the security panel).
+ *
+ * @returns {string}
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.renderDevice = function renderDevice(site, id) {
+  const zone = _.find(site.zones, (theZone) => `${theZone.deviceId}` === `${id}`);
+  const device = (`${id}` === '1' || zone === undefined) ? {
+    name: 'Security Panel',
+    make: 'ADT',
+    type: 'Security Panel - Safewatch Pro 3000/3000CN',
+  } : {
+    name: zone.name,
+    make: 'ADT',
+    type: zone.deviceType || 'Unknown Device',
+  };
+
+  return [
+    '<html><body><table>',
+    `<tr><td class="InputFieldDescriptionL">Name:</td><td>${device.name}</td></tr>`,
+    `<tr><td class="InputFieldDescriptionL">Manufacturer/Provider:</td><td>${device.make}</td></tr>`,
+    `<tr><td class="InputFieldDescriptionL">Type/Model:</td><td>${device.type}</td></tr>`,
+    '</table></body></html>',
+  ].join('');
+};
+
+/**
+ * Get orb text summary (e.g. "Armed Away. 1 Sensor Open.").
+ *
+ * @param {object} site - The site.
+ *
+ * @returns {string}
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.getTextSummary = function getTextSummary(site) {
+  const states = {
+    disarmed: 'Disarmed',
+    away: 'Armed Away',
+    stay: 'Armed Stay',
+    night: 'Armed Night',
+    'arming-away': 'Arming Away',
+    'arming-stay': 'Arming Stay',
+    'arming-night': 'Arming Night',
+    unavailable: 'Status Unavailable',
+  };
+  const alarms = {
+    burglary: 'BURGLARY ALARM',
+    fire: 'FIRE ALARM',
+    co: 'Carbon Monoxide Alarm',
+  };
+  const openCount = _.filter(site.zones, { state: 'devStatOpen' }).length;
+  const motionCount = _.filter(site.zones, { state: 'devStatMotion' }).length;
+
+  let status = 'All Quiet';
+
+  if (site.panel.state === 'unavailable') {
+    status = '';
+  } else if (site.panel.alarm) {
+    status = alarms[site.panel.alarm] || `${site.panel.alarm.toUpperCase()} ALARM`;
+  } else if (site.panel.unclearedAlarm) {
+    status = 'Uncleared Alarm';
+  } else if (site.panel.state.startsWith('arming-')) {
+    status = 'Exit Delay';
+  } else if (site.panel.entryDelay && site.panel.state !== 'disarmed') {
+    status = 'Entry Delay';
+  } else if (openCount > 0) {
+    status = `${openCount} ${(openCount === 1) ? 'Sensor' : 'Sensors'} Open`;
+  } else if (motionCount > 0) {
+    status = 'Motion';
+  }
+
+  return `${states[site.panel.state] || 'Status Unavailable'}. ${(status) ? `${status}.` : ''}`.trim();
+};
+
+/**
+ * Get site.
+ *
+ * @param {string} id - The site ID.
+ *
+ * @returns {object} - Falls back to the first site.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.getSite = function getSite(id) {
+  return _.find(this.state.sites, { id }) || this.state.sites[0];
+};
+
+/**
+ * Get session (creates one when the cookie is missing or unknown).
+ *
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse}  res - The response.
+ *
+ * @returns {object}
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.getSession = function getSession(req, res) {
+  const cookie = _.get(req, 'headers.cookie', '').match(/JSESSIONID=([0-9a-f]+)/);
+
+  if (cookie !== null && this.sessions[cookie[1]] !== undefined) {
+    return this.sessions[cookie[1]];
+  }
+
+  const sessionId = crypto.randomBytes(16).toString('hex');
+
+  this.sessions[sessionId] = {
+    authenticated: false,
+    mfaPending: false,
+    otpValidated: false,
+    siteId: this.state.sites[0].id,
+    sat: crypto.randomBytes(16).toString('hex').replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5'),
+  };
+
+  // Not "Secure", so cookies work over plain HTTP.
+  res.setHeader('Set-Cookie', `JSESSIONID=${sessionId}; Path=/; HttpOnly`);
+
+  return this.sessions[sessionId];
+};
+
+/**
+ * Authenticate session.
+ *
+ * @param {object} session - The session.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.authenticate = function authenticate(session) {
+  _.assign(session, {
+    authenticated: true,
+    mfaPending: false,
+    otpValidated: false,
+  });
+};
+
+/**
+ * Send redirect.
+ *
+ * @param {http.ServerResponse} res      - The response.
+ * @param {string}              location - The redirect path.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.redirect = function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+};
+
+/**
+ * Send HTML or text.
+ *
+ * @param {http.ServerResponse} res        - The response.
+ * @param {number}              statusCode - The status code.
+ * @param {string}              body       - The body.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.send = function send(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(body);
+};
+
+/**
+ * Send JSON.
+ *
+ * @param {http.ServerResponse} res        - The response.
+ * @param {number}              statusCode - The status code.
+ * @param {object}              body       - The body.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.sendJson = function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+};
+
+/**
+ * Console logger.
+ *
+ * @param {string} content - The message.
+ *
+ * @since 2.2.0
+ */
+MockPortal.prototype.consoleLogger = function consoleLogger(content) {
+  console.log(content);
+};
+
+/**
+ * Initialize mock portal.
+ *
+ * @since 2.2.0
+ */
+try {
+  const state = (scenarioValue) ? JSON.parse(fs.readFileSync(scenarioValue, 'utf8')) : {};
+
+  new MockPortal(state).listen(parseInt(portValue, 10));
+} catch (error) {
+  console.error(`ADT Pulse Mock: Unable to load scenario "${scenarioValue}".`, error);
+  process.exit(1);
+}
@@ -6,28 +6,47 @@
  * Arguments:
  *     --username           email@email.com
  *     --password           1234567890
- *     --fingerprint        2-factor authentication token
+ *     --fingerprint        2-factor authentication token (optional for "mfa" action)
  *     --country            "us" or "ca"
- *     --action             "device-information", "device-status", "zone-status", "sync", "disarm", "arm-away", "arm-stay", or "arm-night"
+ *     --baseUrl            Portal base URL (optional, e.g. "http://localhost:8080")
+ *     --siteId             Site ID (for accounts with multiple locations)
+ *     --siteName           Site name (for accounts with multiple locations)
+ *     --action             "parse", "mfa", "sites", "device-information", "device-status", "zone-status", "sync", "disarm", "arm-away", "arm-stay", "arm-night", "bypass", or "unbypass"
+ *     --mfaMethod          "sms" or "email" (for "mfa" action)
+ *     --deviceName         Trusted device name shown in ADT Pulse (for "mfa" action)
+ *     --file               Saved portal page, e.g. "ajax/orb.jsp", "summary/summary.jsp", or "system/device.jsp" (for "parse" action)
  *     --overrideSensorName Sensor name as shown in ADT Pulse
- *     --overrideSensorType "sensor,glass", "sensor,motion", "sensor,co", "sensor,fire", or "sensor,doorWindow"
+ *     --overrideSensorType "sensor,glass", "sensor,motion", "sensor,co", "sensor,fire", "sensor,doorWindow",
+ *                          "sensor,water", "sensor,temperature", "sensor,shock", or "sensor,panic"
+ *     --forceArm           "always", "never", or "allowlist" (for "arm-away", "arm-stay", and "arm-night" actions)
+ *     --forceArmZones      Comma-separated zone names or IDs allowed to be bypassed (for "allowlist" force arm policy)
+ *     --zones              Comma-separated zone names or IDs (for "bypass" and "unbypass" actions)
  *
  * Usage:
- *     node api-test --username ! --password % --fingerprint ^ --country # --action @ --overrideSensorName $ --overrideSensorType ~
+ *     node api-test --username ! --password % --fingerprint ^ --country # --siteName & --action @ --overrideSensorName $ --overrideSensorType ~
+ *     node api-test --username ! --password % --country # --action mfa --mfaMethod * --deviceName +
+ *     node api-test --action parse --file = --overrideSensorName $ --overrideSensorType ~
  *
  * Replace:
  *     ! - Account username
  *     % - Account password
  *     ^ - Fingerprint
  *     # - Country
+ *     & - Site name (optional)
  *     @ - Action type
  *     $ - Override sensor name (optional)
  *     ~ - Override sensor type (optional)
+ *     * - MFA delivery method (optional, defaults to "sms")
+ *     + - Trusted device name (optional, defaults to "Homebridge")
+ *     = - Saved portal page
  *
  * @type {function(object): void}
  *
  * @since 1.0.0
  */
+const fs = require('fs');
+const readline = require('readline');
+
 const Pulse = require('./api');
 
 /**
@@ -47,6 +66,15 @@ const fingerprintValue = (fingerprint > -1) ? process.argv[fingerprint + 1] : ''
 const country = process.argv.indexOf('--country');
 const countryValue = (country > -1) ? process.argv[country + 1] : '';
 
+const baseUrl = process.argv.indexOf('--baseUrl');
+const baseUrlValue = (baseUrl > -1) ? process.argv[baseUrl + 1] : '';
+
+const siteId = process.argv.indexOf('--siteId');
+const siteIdValue = (siteId > -1) ? process.argv[siteId + 1] : '';
+
+const siteName = process.argv.indexOf('--siteName');
+const siteNameValue = (siteName > -1) ? process.argv[siteName + 1] : '';
+
 const action = process.argv.indexOf('--action');
 const actionValue = (action > -1) ? process.argv[action + 1] : '';
 
@@ -56,12 +84,35 @@ const overrideSensorNameValue = (overrideSensorName > -1) ? process.argv[overrid
 const overrideSensorType = process.argv.indexOf('--overrideSensorType');
 const overrideSensorTypeValue = (overrideSensorType > -1) ? process.argv[overrideSensorType + 1] : '';
 
+const mfaMethod = process.argv.indexOf('--mfaMethod');
+const mfaMethodValue = (mfaMethod > -1) ? process.argv[mfaMethod + 1] : 'sms';
+
+const deviceName = process.argv.indexOf('--deviceName');
+const deviceNameValue = (deviceName > -1) ? process.argv[deviceName + 1] : 'Homebridge';
+
+const file = process.argv.indexOf('--file');
+const fileValue = (file > -1) ? process.argv[file + 1] : '';
+
+const forceArm = process.argv.indexOf('--forceArm');
+const forceArmValue = (forceArm > -1) ? process.argv[forceArm + 1] : 'always';
+
+const forceArmZones = process.argv.indexOf('--forceArmZones');
+const forceArmZonesValue = (forceArmZones > -1) ? process.argv[forceArmZones + 1] : '';
+
+const zones = process.argv.indexOf('--zones');
+const zonesValue = (zones > -1) ? process.argv[zones + 1] : '';
+
 /**
  * Sanitize arguments.
  *
  * @since 1.0.0
  */
-if (!usernameValue || !passwordValue || !fingerprintValue || !countryValue || !actionValue) {
+if (actionValue === 'parse') {
+  if (!fileValue) {
+    console.error('ADT Pulse Test: File is empty.');
+    process.exit(1);
+  }
+} else if (!usernameValue || !passwordValue || (!fingerprintValue && actionValue !== 'mfa') || !countryValue || !actionValue) {
   if (!usernameValue) {
     console.error('ADT Pulse Test: Username is empty.');
   }
@@ -70,7 +121,7 @@ if (!usernameValue || !passwordValue || !fingerprintValue || !countryValue || !a
     console.error('ADT Pulse Test: Password is empty.');
   }
 
-  if (!fingerprintValue) {
+  if (!fingerprintValue && actionValue !== 'mfa') {
     console.error('ADT Pulse Test: Fingerprint is empty.');
   }
 
@@ -85,6 +136,29 @@ if (!usernameValue || !passwordValue || !fingerprintValue || !countryValue || !a
   process.exit(1);
 }
 
+/**
+ * Ask a question in the terminal.
+ *
+ * @param {string} question - The question.
+ *
+ * @returns {Promise<string>}
+ *
+ * @since 2.2.0
+ */
+function askQuestion(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
 /**
  * Initialize main script.
  *
@@ -95,12 +169,17 @@ if (!usernameValue || !passwordValue || !fingerprintValue || !countryValue || !a
 const pulse = new Pulse({
   username: usernameValue,
   password: passwordValue,
-  fingerprint: fingerprintValue,
+  fingerprint: fingerprintValue || ((actionValue === 'mfa') ? Pulse.prototype.generateFingerprint() : ''),
   overrideSensors: (overrideSensorNameValue && overrideSensorTypeValue) ? [{
     name: overrideSensorNameValue,
     type: overrideSensorTypeValue,
   }] : [],
+  forceArm: forceArmValue,
+  forceArmZones: forceArmZonesValue.split(',').map((zone) => zone.trim()).filter((zone) => zone),
   country: countryValue,
+  baseUrl: baseUrlValue,
+  siteId: siteIdValue,
+  siteName: siteNameValue,
   debug: true,
 });
 
@@ -110,6 +189,70 @@ const pulse = new Pulse({
  * @since 1.0.0
  */
 switch (actionValue) {
+  case 'parse':
+    console.log(`ADT Pulse Test: Parsing ${fileValue}...`);
+
+    try {
+      const body = fs.readFileSync(fileValue, 'utf8');
+
+      console.log({
+        orbSummary: pulse.parseOrbSummary(body),
+        orbZones: pulse.parseOrbZones(body),
+        deviceInformation: pulse.parseDeviceInformation(body),
+        satCode: pulse.parseSatCode(body),
+        forceArmSatCode: pulse.parseForceArmSatCode(body),
+        errorMessage: pulse.getErrorMessage(body),
+      });
+    } catch (error) {
+      console.error(error);
+    }
+    break;
+  case 'mfa':
+    console.log('ADT Pulse Test: Registering this device with 2-factor authentication...');
+
+    pulse
+      .login()
+      .then(
+        (login) => {
+          console.log(login);
+          console.log(`ADT Pulse Test: Fingerprint is already trusted -> ${pulse.fingerprint}`);
+        },
+        (login) => {
+          console.log(login);
+
+          if (!login.info || login.info.mfaRequired !== true) {
+            throw login;
+          }
+
+          return pulse
+            .requestMfaCode(mfaMethodValue)
+            .then((response) => console.log(response))
+            .then(() => askQuestion('ADT Pulse Test: Enter the verification code: '))
+            .then((code) => pulse.verifyMfaCode(code))
+            .then((response) => console.log(response))
+            .then(() => pulse.trustDevice(deviceNameValue))
+            .then((response) => {
+              console.log(response);
+              console.log(`ADT Pulse Test: Copy this fingerprint into the "fingerprint" setting -> ${response.info.fingerprint}`);
+            });
+        },
+      )
+      .then(() => pulse.logout())
+      .then((logout) => console.log(logout))
+      .catch((error) => console.error(error));
+    break;
+  case 'sites':
+    console.log('ADT Pulse Test: Getting sites...');
+
+    pulse
+      .login()
+      .then((login) => console.log(login))
+      .then(() => pulse.getSites())
+      .then((sites) => console.log(sites))
+      .then(() => pulse.logout())
+      .then((logout) => console.log(logout))
+      .catch((error) => console.error(error));
+    break;
   case 'device-information':
     console.log('ADT Pulse Test: Getting device information...');
 
@@ -274,6 +417,19 @@ switch (actionValue) {
       })
       .catch((error) => console.error(error));
     break;
+  case 'bypass':
+  case 'unbypass':
+    console.log(`ADT Pulse Test: Setting zone ${actionValue}...`);
+
+    pulse
+      .login()
+      .then((login) => console.log(login))
+      .then(() => pulse.setZoneBypass(zonesValue.split(',').map((zone) => zone.trim()).filter((zone) => zone), actionValue === 'bypass'))
+      .then((response) => console.log(response))
+      .then(() => pulse.logout())
+      .then((logout) => console.log(logout))
+      .catch((error) => console.error(error));
+    break;
   default:
     console.error(`ADT Pulse Test: Unknown action type ${actionValue}.`);
     break;
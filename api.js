@@ -9,37 +9,21 @@
  * @since 1.0.0
  */
 const cheerio = require('cheerio');
+const crypto = require('crypto');
 const hasInternet = require('internet-available');
+const net = require('net');
 const Q = require('q');
 const request = require('request');
 const _ = require('lodash');
 
-/**
- * Browser session cookies.
- *
- * @since 1.0.0
- */
-let jar;
-
-/**
- * Set country sub-domain.
- *
- * @since 1.0.0
- */
-let countrySubDomain = '';
-
-/**
- * Track login, login statuses, portal versions.
- *
- * @since 1.0.0
- */
-let authenticated = false;
-let lastKnownVersion = '';
-let lastKnownSiteId = '';
-
 /**
  * ADT Pulse constructor.
  *
+ * The "transport" option accepts any object with the same interface as the "request" module (used by default):
+ * - "get(url, options, callback)" and "post(url, options, callback)", calling back with "(error, response, body)"
+ *   where "response.request.uri.path" is the path after redirects.
+ * - "jar()" returning a cookie jar with "setCookie(cookie, url)" and "getCookies(url)".
+ *
  * @param {object} options - The configuration.
  *
  * @constructor
@@ -51,19 +35,56 @@ function Pulse(options) {
   this.password = _.get(options, 'password', '');
   this.fingerprint = _.get(options, 'fingerprint', '');
   this.overrideSensors = _.get(options, 'overrideSensors', []);
+  this.sensorRules = _.get(options, 'sensorRules', []);
+  this.forceArm = _.get(options, 'forceArm', 'always');
+  this.forceArmZones = _.get(options, 'forceArmZones', []);
   this.country = _.get(options, 'country', '');
+  this.siteId = _.get(options, 'siteId', '');
+  this.siteName = _.get(options, 'siteName', '');
+  this.baseUrl = _.get(options, 'baseUrl', '');
+  this.transport = _.get(options, 'transport', request);
   this.debug = _.get(options, 'debug', false);
 
+  // Browser session cookies.
+  this.jar = undefined;
+
+  // The login in progress (every login replaces the cookie jar, so only one runs at a time).
+  this.pendingLogin = undefined;
+
+  // Zone device ID to the device type declared in "system/device.jsp".
+  this.zoneDeviceTypes = {};
+
+  // Zone device ID to failed "system/device.jsp" lookups ("count" and "retryAt"), retried until they succeed.
+  this.zoneDeviceTypeFailures = {};
+
+  // Track login, login statuses, portal versions.
+  this.authenticated = false;
+  this.lastKnownVersion = '';
+  this.lastKnownSiteId = '';
+
   // Configure country sub-domain.
   switch (this.country) {
     case 'ca':
-      countrySubDomain = 'portal-ca';
+      this.countrySubDomain = 'portal-ca';
       break;
     case 'us':
     default:
-      countrySubDomain = 'portal';
+      this.countrySubDomain = 'portal';
       break;
   }
+
+  // Configure portal base URL (e.g. a proxy, a local stand-in server, or a new regional portal).
+  try {
+    this.portalHost = new URL(this.baseUrl).host;
+    this.baseUrl = this.baseUrl.replace(/\/+$/, '');
+  } catch (error) {
+    if (this.baseUrl) {
+      this.consoleLogger(`ADT Pulse: Base URL "${this.baseUrl}" is invalid. Defaulting to the ADT Pulse portal.`, 'warn');
+    }
+
+    this.baseUrl = `https://${this.countrySubDomain}.adtpulse.com`;
+    this.portalHost = `${this.countrySubDomain}.adtpulse.com`;
+  }
 }
 
 /**
@@ -74,27 +95,32 @@ function Pulse(options) {
  * @since 1.0.0
  */
 Pulse.prototype.login = function login() {
+  // Concurrent callers (e.g. portal sync and a panel command after a session timeout) share one login.
+  if (this.pendingLogin !== undefined) {
+    return this.pendingLogin;
+  }
+
   const deferred = Q.defer();
   const that = this;
 
   this.hasInternetWrapper(deferred, () => {
-    if (authenticated) {
+    if (this.authenticated) {
       deferred.resolve({
         action: 'LOGIN',
         success: true,
         info: {
-          version: lastKnownVersion,
-          siteId: lastKnownSiteId,
+          version: this.lastKnownVersion,
+          siteId: this.lastKnownSiteId,
         },
       });
     } else {
       this.consoleLogger('ADT Pulse: Logging in...', 'log');
 
       // Request a new cookie session.
-      jar = request.jar();
+      this.jar = this.transport.jar();
 
-      request.get(
-        `https://${countrySubDomain}.adtpulse.com`,
+      this.transport.get(
+        this.baseUrl,
         this.generateRequestOptions(),
         (error, response, body) => {
           const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/access\/signin\.jsp)/);
@@ -104,7 +130,7 @@ Pulse.prototype.login = function login() {
           this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
 
           if (error || !regex.test(responsePath)) {
-            authenticated = false;
+            this.authenticated = false;
 
             this.consoleLogger('ADT Pulse: Login failed.', 'error');
 
@@ -117,21 +143,21 @@ Pulse.prototype.login = function login() {
               },
             });
           } else {
-            authenticated = false;
+            this.authenticated = false;
 
             const version = responsePath.replace(regex, '$2');
 
             // Saves last known version for reuse later.
-            lastKnownVersion = version;
+            this.lastKnownVersion = version;
 
             this.consoleLogger(`ADT Pulse: Web portal version -> ${version}`, 'log');
 
-            request.post(
-              `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/access/signin.jsp`,
+            this.transport.post(
+              `${this.baseUrl}/myhome/${this.lastKnownVersion}/access/signin.jsp`,
               this.generateRequestOptions({
                 followAllRedirects: true,
                 headers: {
-                  Referer: `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/access/signin.jsp`,
+                  Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/access/signin.jsp`,
                 },
                 form: {
                   usernameForm: that.username,
@@ -147,9 +173,16 @@ Pulse.prototype.login = function login() {
                 this.consoleLogger(`ADT Pulse: Response path matches -> ${postRegex.test(postResponsePath)}`, 'log');
 
                 if (postError || !postRegex.test(postResponsePath)) {
-                  authenticated = false;
+                  const mfaRegex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/mfa\/mfaSignIn\.jsp)/);
+                  const mfaRequired = mfaRegex.test(postResponsePath);
+
+                  this.authenticated = false;
 
-                  this.consoleLogger('ADT Pulse: Login failed.', 'error');
+                  if (mfaRequired) {
+                    this.consoleLogger('ADT Pulse: Login requires 2-factor authentication. This fingerprint is not trusted.', 'error');
+                  } else {
+                    this.consoleLogger('ADT Pulse: Login failed.', 'error');
+                  }
 
                   deferred.reject({
                     action: 'LOGIN',
@@ -157,29 +190,46 @@ Pulse.prototype.login = function login() {
                     info: {
                       error: postError,
                       message: this.getErrorMessage(postBody),
+                      mfaRequired,
                     },
                   });
                 } else {
-                  authenticated = true;
+                  this.authenticated = true;
 
                   const $ = cheerio.load(postBody);
                   const signoutLink = $('#p_signout1').attr('href');
                   const siteId = (signoutLink !== undefined) ? signoutLink.replace(/(.*)(networkid=)(.*)(&)(.*)/g, '$3') : undefined;
 
                   // Saves last known site ID for reuse later.
-                  lastKnownSiteId = siteId;
+                  this.lastKnownSiteId = siteId;
 
                   this.consoleLogger(`ADT Pulse: Site ID -> ${siteId}`, 'log');
                   this.consoleLogger('ADT Pulse: Login success.', 'log');
 
-                  deferred.resolve({
-                    action: 'LOGIN',
-                    success: true,
-                    info: {
-                      version: lastKnownVersion,
-                      siteId: lastKnownSiteId,
-                    },
-                  });
+                  // Accounts with multiple locations land on whatever site the portal picks.
+                  Q
+                    .fcall(() => {
+                      if (this.siteId || this.siteName) {
+                        return this.selectSite(this.siteId || this.siteName);
+                      }
+
+                      return null;
+                    })
+                    .then(() => {
+                      deferred.resolve({
+                        action: 'LOGIN',
+                        success: true,
+                        info: {
+                          version: this.lastKnownVersion,
+                          siteId: this.lastKnownSiteId,
+                        },
+                      });
+                    })
+                    .catch((selectError) => {
+                      this.authenticated = false;
+
+                      deferred.reject(selectError);
+                    });
                 }
               },
             );
@@ -189,7 +239,13 @@ Pulse.prototype.login = function login() {
     }
   });
 
-  return deferred.promise;
+  const thePromise = deferred.promise.finally(() => {
+    this.pendingLogin = undefined;
+  });
+
+  this.pendingLogin = thePromise;
+
+  return thePromise;
 };
 
 /**
@@ -203,7 +259,7 @@ Pulse.prototype.logout = function logout() {
   const deferred = Q.defer();
 
   this.hasInternetWrapper(deferred, () => {
-    if (!authenticated) {
+    if (!this.authenticated) {
       deferred.resolve({
         action: 'LOGOUT',
         success: true,
@@ -212,11 +268,11 @@ Pulse.prototype.logout = function logout() {
     } else {
       this.consoleLogger('ADT Pulse: Logging out...', 'log');
 
-      request.get(
-        `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/access/signout.jsp?networkid=${lastKnownSiteId}&partner=adt`,
+      this.transport.get(
+        `${this.baseUrl}/myhome/${this.lastKnownVersion}/access/signout.jsp?networkid=${this.lastKnownSiteId}&partner=adt`,
         this.generateRequestOptions({
           headers: {
-            Referer: `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/summary/summary.jsp`,
+            Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`,
           },
         }),
         (error, response, body) => {
@@ -227,7 +283,7 @@ Pulse.prototype.logout = function logout() {
           this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
 
           if (error || !regex.test(responsePath)) {
-            authenticated = true;
+            this.authenticated = true;
 
             this.consoleLogger('ADT Pulse: Logout failed.', 'error');
 
@@ -240,7 +296,7 @@ Pulse.prototype.logout = function logout() {
               },
             });
           } else {
-            authenticated = false;
+            this.authenticated = false;
 
             this.consoleLogger('ADT Pulse: Logout success.', 'log');
 
@@ -259,61 +315,83 @@ Pulse.prototype.logout = function logout() {
 };
 
 /**
- * ADT Pulse get device information.
+ * ADT Pulse get sites.
+ *
+ * Lists the sites (locations) linked to the account.
  *
  * @returns {Q.Promise<object>}
  *
- * @since 1.0.0
+ * @since 2.2.0
+ */
+Pulse.prototype.getSites = function getSites() {
+  return this.sessionWrapper(() => this.fetchSites());
+};
+
+/**
+ * ADT Pulse fetch sites.
+ *
+ * Same as "getSites", without logging in again when the session expired. Used while logging in, where a retry
+ * would wait on the login that is still in progress.
+ *
+ * @returns {Q.Promise<object>}
+ *
+ * @since 2.2.0
  */
-Pulse.prototype.getDeviceInformation = function getDeviceInformation() {
+Pulse.prototype.fetchSites = function fetchSites() {
   const deferred = Q.defer();
 
   this.hasInternetWrapper(deferred, () => {
-    this.consoleLogger('ADT Pulse: Getting device information...', 'log');
+    this.consoleLogger('ADT Pulse: Getting sites...', 'log');
 
-    request.get(
-      `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/system/device.jsp?id=1`,
-      this.generateRequestOptions({
-        headers: {
-          Referer: `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/system/system.jsp`,
-        },
-      }),
+    this.transport.get(
+      `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`,
+      this.generateRequestOptions(),
       (error, response, body) => {
-        const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/system\/device\.jsp)(.*)/);
+        const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/summary\/summary\.jsp)(.*)/);
         const responsePath = _.get(response, 'request.uri.path');
 
         this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
         this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
 
         if (error || !regex.test(responsePath)) {
-          authenticated = false;
+          this.authenticated = false;
 
-          this.consoleLogger('ADT Pulse: Get device information failed.', 'error');
+          this.consoleLogger('ADT Pulse: Get sites failed.', 'error');
 
           deferred.reject({
-            action: 'GET_DEVICE_INFO',
+            action: 'GET_SITES',
             success: false,
             info: {
               error,
               message: this.getErrorMessage(body),
+              sessionExpired: this.isSessionExpired(responsePath),
             },
           });
         } else {
           const $ = cheerio.load(body);
-          const deviceName = $('td.InputFieldDescriptionL:contains("Name")').next().text().trim();
-          const deviceMake = $('td.InputFieldDescriptionL:contains("Manufacturer")').next().text().trim();
-          const deviceType = $('td.InputFieldDescriptionL:contains("Type")').next().text().trim();
+          const options = $('#p_siteSelect option').toArray();
+
+          let sites = _.map(options, (option) => ({
+            id: $(option).attr('value'),
+            name: $(option).text().trim(),
+            selected: $(option).attr('selected') !== undefined,
+          }));
+
+          // Accounts with a single site do not show the site selector.
+          if (sites.length === 0) {
+            sites = [{
+              id: this.lastKnownSiteId,
+              name: $('#p_siteName').text().trim(),
+              selected: true,
+            }];
+          }
 
-          this.consoleLogger('ADT Pulse: Get device information success.', 'log');
+          this.consoleLogger('ADT Pulse: Get sites success.', 'log');
 
           deferred.resolve({
-            action: 'GET_DEVICE_INFO',
+            action: 'GET_SITES',
             success: true,
-            info: {
-              name: deviceName,
-              make: deviceMake,
-              type: deviceType,
-            },
+            info: sites,
           });
         }
       },
@@ -324,259 +402,178 @@ Pulse.prototype.getDeviceInformation = function getDeviceInformation() {
 };
 
 /**
- * ADT Pulse get device status.
+ * ADT Pulse select site.
+ *
+ * Switches the portal session to another site (location) linked to the account.
+ *
+ * @param {string} site - The site ID or site name (case-insensitive).
  *
  * @returns {Q.Promise<object>}
  *
- * @since 1.0.0
+ * @since 2.2.0
  */
-Pulse.prototype.getDeviceStatus = function getDeviceStatus() {
+Pulse.prototype.selectSite = function selectSite(site) {
   const deferred = Q.defer();
 
-  this.hasInternetWrapper(deferred, () => {
-    this.consoleLogger('ADT Pulse: Getting device status...', 'log');
+  // Runs while logging in, so an expired session must not trigger another login.
+  this.fetchSites()
+    .then((response) => {
+      const sites = _.get(response, 'info', []);
+      const theSite = _.find(sites, (thisSite) => thisSite.id === site || thisSite.name.toLowerCase() === `${site}`.toLowerCase());
+
+      if (theSite === undefined) {
+        this.consoleLogger(`ADT Pulse: Site "${site}" not found. Available sites -> ${_.map(sites, 'name').join(', ')}`, 'error');
+
+        deferred.reject({
+          action: 'SELECT_SITE',
+          success: false,
+          info: {
+            error: null,
+            message: `Site "${site}" is not linked to this account.`,
+          },
+        });
+      } else if (theSite.id === this.lastKnownSiteId) {
+        this.consoleLogger(`ADT Pulse: Site "${theSite.name}" is already selected.`, 'log');
+
+        deferred.resolve({
+          action: 'SELECT_SITE',
+          success: true,
+          info: {
+            siteId: theSite.id,
+            name: theSite.name,
+          },
+        });
+      } else {
+        this.hasInternetWrapper(deferred, () => {
+          this.consoleLogger(`ADT Pulse: Switching to site "${theSite.name}"...`, 'log');
 
-    request.get(
-      `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/ajax/orb.jsp`,
-      this.generateRequestOptions({
-        headers: {
-          Accept: '*/*',
-          Referer: `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/summary/summary.jsp`,
-        },
-      }),
-      (error, response, body) => {
-        const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/ajax\/orb\.jsp)/);
-        const responsePath = _.get(response, 'request.uri.path');
+          this.transport.get(
+            `${this.baseUrl}/myhome/${this.lastKnownVersion}/access/switchSite.jsp?networkid=${theSite.id}&partner=adt`,
+            this.generateRequestOptions({
+              headers: {
+                Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`,
+              },
+            }),
+            (error, switchResponse, body) => {
+              const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/summary\/summary\.jsp)(.*)/);
+              const responsePath = _.get(switchResponse, 'request.uri.path');
 
-        this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
-        this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
+              this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
+              this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
 
-        if (error || !regex.test(responsePath) || body.indexOf('<html') > -1) {
-          authenticated = false;
+              if (error || !regex.test(responsePath)) {
+                this.authenticated = false;
 
-          this.consoleLogger('ADT Pulse: Get device status failed.', 'error');
+                this.consoleLogger('ADT Pulse: Select site failed.', 'error');
 
-          deferred.reject({
-            action: 'GET_DEVICE_STATUS',
-            success: false,
-            info: {
-              error,
-              message: this.getErrorMessage(body),
-            },
-          });
-        } else {
-          const $ = cheerio.load(body);
-          const textSummary = $('#divOrbTextSummary span').text();
-          const theState = textSummary.replace(/([A-Z a-z ]+)(\.[  ]?)([A-Z a-z 0-9]*)(\.?)(.*)/g, '$1');
-          const theStatus = textSummary.replace(/([A-Z a-z ]+)(\.[  ]?)([A-Z a-z 0-9]*)(\.?)(.*)/g, '$3');
-
-          this.consoleLogger('ADT Pulse: Get device status success.', 'log');
-
-          /**
-           * These are the possible states and statuses.
-           *
-           * State:
-           *   "Disarmed"
-           *   "Armed Away"
-           *   "Armed Stay"
-           *   "Armed Night"
-           *   "Status Unavailable"
-           * Status:
-           *   "All Quiet"
-           *   "1 Sensor Open" or "x Sensors Open"
-           *   "Sensor Bypassed" or "Sensors Bypassed"
-           *   "Sensor Tripped" or "Sensors Tripped"
-           *   "Motion"
-           *   "Uncleared Alarm"
-           *   "Carbon Monoxide Alarm"
-           *   "FIRE ALARM"
-           *   "BURGLARY ALARM"
-           *   "Sensor Problem"
-           *   ""
-           */
-          deferred.resolve({
-            action: 'GET_DEVICE_STATUS',
-            success: true,
-            info: {
-              summary: textSummary,
-              state: theState,
-              status: theStatus,
+                deferred.reject({
+                  action: 'SELECT_SITE',
+                  success: false,
+                  info: {
+                    error,
+                    message: this.getErrorMessage(body),
+                  },
+                });
+              } else {
+                const $ = cheerio.load(body);
+                const signoutLink = $('#p_signout1').attr('href');
+                const siteId = (signoutLink !== undefined) ? signoutLink.replace(/(.*)(networkid=)(.*)(&)(.*)/g, '$3') : theSite.id;
+
+                // Saves last known site ID for reuse later.
+                this.lastKnownSiteId = siteId;
+
+                this.consoleLogger(`ADT Pulse: Site ID -> ${siteId}`, 'log');
+                this.consoleLogger('ADT Pulse: Select site success.', 'log');
+
+                deferred.resolve({
+                  action: 'SELECT_SITE',
+                  success: true,
+                  info: {
+                    siteId,
+                    name: theSite.name,
+                  },
+                });
+              }
             },
-          });
-        }
-      },
-    );
-  });
+          );
+        });
+      }
+    })
+    .catch((error) => deferred.reject(error));
 
   return deferred.promise;
 };
 
 /**
- * ADT Pulse set device status.
+ * ADT Pulse generate fingerprint.
  *
- * Notes:
- * - When Disarming, armState will be set to "disarmed". It will be set to "off" after re-login.
- * - When Arming Night, armState will be set to "night+stay". It will be set to "night" after re-login.
- * - If alarm occurred, you must Clear Alarm before setting to Armed Away/Stay/Night.
- * - For ADT Pulse Canada, you must replace the "portal" sub-domain to "portal-ca" sub-domain.
- * - "sat" code is now required for all set actions.
+ * The portal identifies a trusted device by the fingerprint posted during login. Any unique string works, as long as
+ * the same fingerprint is used for login once the device is trusted.
  *
- * Disarmed:
- * - Arm Away (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed&arm=away&sat=).
- * - Arm Stay (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed&arm=stay&sat=).
- * - Arm Night (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed&arm=night&sat=).
- * - Disarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed&arm=off&sat=).
- * - Clear Alarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed+with+alarm&arm=off&sat=).
- * Armed Away:
- * - Disarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=away&arm=off&sat=).
- * Armed Stay:
- * - Disarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=stay&arm=off&sat=).
- * Armed Night:
- * - Disarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=night&arm=off&sat=).
+ * @returns {string}
  *
- * @param {string} armState - Can be "disarmed", "disarmed+with+alarm", "away", "stay", or "night".
- * @param {string} arm      - Can be "off", "away", "stay", or "night".
+ * @since 2.2.0
+ */
+Pulse.prototype.generateFingerprint = function generateFingerprint() {
+  return crypto.randomBytes(48).toString('base64');
+};
+
+/**
+ * ADT Pulse request MFA code.
+ *
+ * Step 1 of the 2-factor authentication flow. Must be called after "login" rejects with "info.mfaRequired".
+ *
+ * @param {string} method - Can be "sms" or "email".
  *
  * @returns {Q.Promise<object>}
  *
- * @since 1.0.0
+ * @since 2.2.0
  */
-Pulse.prototype.setDeviceStatus = function setDeviceStatus(armState, arm) {
+Pulse.prototype.requestMfaCode = function requestMfaCode(method) {
   const deferred = Q.defer();
 
   this.hasInternetWrapper(deferred, () => {
-    const url1 = `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/summary/summary.jsp`;
-
-    this.consoleLogger('ADT Pulse: Setting device status...', 'log');
-
-    request.get(
-      url1,
-      this.generateRequestOptions(),
-      (error1, response1, body1) => {
-        const regex1 = new RegExp(/(\/myhome\/)([0-9.-]+)(\/summary\/summary\.jsp)(.*)/);
-        const responsePath1 = _.get(response1, 'request.uri.path');
+    this.consoleLogger(`ADT Pulse: Requesting verification code via ${method}...`, 'log');
 
-        this.consoleLogger(`ADT Pulse: Response path -> ${responsePath1}`, 'log');
-        this.consoleLogger(`ADT Pulse: Response path matches -> ${regex1.test(responsePath1)}`, 'log');
+    this.transport.post(
+      `${this.baseUrl}/myhome/${this.lastKnownVersion}/mfa/sendOtp.jsp`,
+      this.generateRequestOptions({
+        headers: {
+          Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/mfa/mfaSignIn.jsp?workflow=challenge`,
+        },
+        form: {
+          deliveryMethod: method,
+        },
+      }),
+      (error, response, body) => {
+        const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/mfa\/sendOtp\.jsp)/);
+        const responsePath = _.get(response, 'request.uri.path');
+        const message = this.getErrorMessage(body);
 
-        if (error1 || !regex1.test(responsePath1)) {
-          authenticated = false;
+        this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
+        this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
 
-          this.consoleLogger(`ADT Pulse: Set device status to ${arm} failed.`, 'error');
+        if (error || !regex.test(responsePath) || message !== null) {
+          this.consoleLogger('ADT Pulse: Request verification code failed.', 'error');
 
           deferred.reject({
-            action: 'SET_DEVICE_STATUS',
+            action: 'REQUEST_MFA_CODE',
             success: false,
             info: {
-              error: error1,
-              message: this.getErrorMessage(body1),
+              error,
+              message,
             },
           });
         } else {
-          const $2 = cheerio.load(body1);
-          const onClick2 = $2('input[id^="security_button_"]').attr('onclick');
-          const satCode2 = (onClick2 !== undefined) ? onClick2.replace(/(.*)(&sat=)([0-9a-z-]*)('\))/g, '$3') : undefined;
-          const url2 = `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/quickcontrol/armDisarm.jsp`;
-          const arg2 = `?href=rest/adt/ui/client/security/setArmState&armstate=${armState}&arm=${arm}&sat=${satCode2}`;
-
-          request.get(
-            url2 + arg2,
-            this.generateRequestOptions({
-              headers: {
-                Referer: `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/summary/summary.jsp`,
-              },
-            }),
-            (error2, response2, body2) => {
-              const regex2 = new RegExp(/(\/myhome\/)([0-9.-]+)(\/quickcontrol\/armDisarm\.jsp)(.*)/);
-              const responsePath2 = _.get(response2, 'request.uri.path');
-
-              this.consoleLogger(`ADT Pulse: Response path -> ${responsePath2}`, 'log');
-              this.consoleLogger(`ADT Pulse: Response path matches -> ${regex2.test(responsePath2)}`, 'log');
-
-              if (error2 || !regex2.test(responsePath2)) {
-                authenticated = false;
-
-                this.consoleLogger(`ADT Pulse: Set device status to ${arm} failed.`, 'error');
-
-                deferred.reject({
-                  action: 'SET_DEVICE_STATUS',
-                  success: false,
-                  info: {
-                    error: error2,
-                    message: this.getErrorMessage(body2),
-                  },
-                });
-              } else {
-                const $3 = cheerio.load(body2);
-                const onClick3 = $3('input[id^="arm_button_"][value="Arm Anyway"]').attr('onclick');
-                const satCode3 = (onClick3 !== undefined) ? onClick3.replace(/(.*)(\?sat=)([0-9a-z-]*)(&href=)(.*)/g, '$3') : undefined;
-
-                const url3 = `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/quickcontrol/serv/RunRRACommand`;
-                const arg3 = `?sat=${satCode3}&href=rest/adt/ui/client/security/setForceArm&armstate=forcearm&arm=${arm}`;
-
-                // Check if system requires force arming.
-                if (['away', 'stay', 'night'].includes(arm) && onClick3 !== undefined && satCode3 !== undefined) {
-                  this.consoleLogger('ADT Pulse: Some sensors are open or reporting motion. Arming Anyway...', 'warn');
-
-                  request.get(
-                    url3 + arg3,
-                    this.generateRequestOptions({
-                      headers: {
-                        Accept: '*/*',
-                        Referer: `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/quickcontrol/armDisarm.jsp`,
-                      },
-                    }),
-                    (forceError, forceResponse, forceBody) => {
-                      const forceRegex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/quickcontrol\/serv\/RunRRACommand)(.*)/);
-                      const forceResponsePath = _.get(forceResponse, 'request.uri.path');
-
-                      this.consoleLogger(`ADT Pulse: Response path -> ${forceResponsePath}`, 'log');
-                      this.consoleLogger(`ADT Pulse: Response path matches -> ${forceRegex.test(forceResponsePath)}`, 'log');
-
-                      if (forceError || !forceRegex.test(forceResponsePath)) {
-                        authenticated = false;
-
-                        this.consoleLogger(`ADT Pulse: Set device status to ${arm} failed.`, 'error');
-
-                        deferred.reject({
-                          action: 'SET_DEVICE_STATUS',
-                          success: false,
-                          info: {
-                            error: forceError,
-                            message: this.getErrorMessage(forceBody),
-                          },
-                        });
-                      } else {
-                        this.consoleLogger(`ADT Pulse: Set device status to ${arm} success.`, 'log');
-
-                        deferred.resolve({
-                          action: 'SET_DEVICE_STATUS',
-                          success: true,
-                          info: {
-                            forceArm: true,
-                            previousArm: armState,
-                            afterArm: arm,
-                          },
-                        });
-                      }
-                    },
-                  );
-                } else {
-                  this.consoleLogger(`ADT Pulse: Set device status to ${arm} success.`, 'log');
+          this.consoleLogger('ADT Pulse: Request verification code success.', 'log');
 
-                  deferred.resolve({
-                    action: 'SET_DEVICE_STATUS',
-                    success: true,
-                    info: {
-                      forceArm: false,
-                      previousArm: armState,
-                      afterArm: arm,
-                    },
-                  });
-                }
-              }
+          deferred.resolve({
+            action: 'REQUEST_MFA_CODE',
+            success: true,
+            info: {
+              method,
             },
-          );
+          });
         }
       },
     );
@@ -586,40 +583,45 @@ Pulse.prototype.setDeviceStatus = function setDeviceStatus(armState, arm) {
 };
 
 /**
- * ADT Pulse get zone status.
+ * ADT Pulse verify MFA code.
+ *
+ * Step 2 of the 2-factor authentication flow.
+ *
+ * @param {string} code - The verification code received via SMS or email.
  *
  * @returns {Q.Promise<object>}
  *
- * @since 1.0.0
+ * @since 2.2.0
  */
-Pulse.prototype.getZoneStatus = function getZoneStatus() {
+Pulse.prototype.verifyMfaCode = function verifyMfaCode(code) {
   const deferred = Q.defer();
 
   this.hasInternetWrapper(deferred, () => {
-    this.consoleLogger('ADT Pulse: Getting zone status...', 'log');
+    this.consoleLogger('ADT Pulse: Submitting verification code...', 'log');
 
-    request.get(
-      `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/ajax/orb.jsp`,
+    this.transport.post(
+      `${this.baseUrl}/myhome/${this.lastKnownVersion}/mfa/validateOtp.jsp`,
       this.generateRequestOptions({
+        followAllRedirects: true,
         headers: {
-          Accept: '*/*',
-          Referer: `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/summary/summary.jsp`,
+          Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/mfa/mfaSignIn.jsp?workflow=challenge`,
+        },
+        form: {
+          otp: `${code}`.trim(),
         },
       }),
       (error, response, body) => {
-        const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/ajax\/orb\.jsp)/);
+        const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/mfa\/trustDevice\.jsp)/);
         const responsePath = _.get(response, 'request.uri.path');
 
         this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
         this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
 
-        if (error || !regex.test(responsePath) || body.indexOf('<html') > -1) {
-          authenticated = false;
-
-          this.consoleLogger('ADT Pulse: Get zone status failed.', 'error');
+        if (error || !regex.test(responsePath)) {
+          this.consoleLogger('ADT Pulse: Verification code was not accepted.', 'error');
 
           deferred.reject({
-            action: 'GET_ZONE_STATUS',
+            action: 'VERIFY_MFA_CODE',
             success: false,
             info: {
               error,
@@ -627,71 +629,12 @@ Pulse.prototype.getZoneStatus = function getZoneStatus() {
             },
           });
         } else {
-          const $ = cheerio.load(body);
-          const sensors = $('#orbSensorsList table tr.p_listRow').toArray();
-
-          const output = _.map(sensors, (sensor) => {
-            const theSensor = cheerio.load([].concat(sensor));
-            const theName = theSensor('a.p_deviceNameText').html();
-            const theZone = theSensor('span.p_grayNormalText').html();
-            const theState = theSensor('span.devStatIcon canvas').attr('icon');
-
-            const theZoneNumber = (theZone) ? theZone.replace(/(Zone)(&#xA0;|&nbsp;)([0-9]{1,2})/, '$3') : 0;
-
-            let theTag;
-
-            if (typeof theName === 'string' && theState !== 'devStatUnknown') {
-              const theNameLowercase = theName.toLowerCase();
-              const theOverrideSensor = _.find(this.overrideSensors, (overrideSensor) => overrideSensor.name.toLowerCase() === theNameLowercase);
-
-              if (theOverrideSensor !== undefined) {
-                const theOverrideSensorType = _.get(theOverrideSensor, 'type');
-                const allowedSensorTypes = ['sensor,glass', 'sensor,motion', 'sensor,co', 'sensor,fire', 'sensor,doorWindow'];
-
-                this.consoleLogger(`ADT Pulse: ${theName} sensor type is manually overridden to "${theOverrideSensorType}".`, 'warn');
-
-                theTag = (allowedSensorTypes.includes(theOverrideSensorType)) ? theOverrideSensorType : undefined;
-              } else if (theNameLowercase.match(/^(.*)(glass)(.*)$/g) !== null) {
-                theTag = 'sensor,glass';
-              } else if (theNameLowercase.match(/^(.*)(motion)(.*)$/g) !== null) {
-                theTag = 'sensor,motion';
-              } else if (theNameLowercase.match(/^(.*)(gas)(.*)$/g) !== null) {
-                theTag = 'sensor,co';
-              } else if (theNameLowercase.match(/^(.*)(smoke|heat)(.*)$/g) !== null) {
-                theTag = 'sensor,fire';
-              } else if (theNameLowercase.match(/^(.*)(door|window|dr|win|slider)(.*)$/g) !== null) {
-                theTag = 'sensor,doorWindow';
-              }
-            }
-
-            /**
-             * Expected output.
-             *
-             * id:    sensor-[integer]
-             * name:  device name
-             * tags:  sensor,[doorWindow,motion,glass,co,fire]
-             * state: devStatOK (device okay)
-             *        devStatLowBatt (device low battery)
-             *        devStatOpen (door/window opened)
-             *        devStatMotion (detected motion)
-             *        devStatTamper (glass broken or device tamper)
-             *        devStatAlarm (detected CO/Smoke)
-             *        devStatUnknown (device offline)
-             */
-            return {
-              id: `sensor-${theZoneNumber}`,
-              name: theName || '',
-              tags: theTag || 'sensor',
-              state: theState || 'devStatUnknown',
-            };
-          });
-
-          this.consoleLogger('ADT Pulse: Get zone status success.', 'log');
+          this.consoleLogger('ADT Pulse: Verification code accepted.', 'log');
 
           deferred.resolve({
-            action: 'GET_ZONE_STATUS',
+            action: 'VERIFY_MFA_CODE',
             success: true,
-            info: output,
+            info: null,
           });
         }
       },
@@ -702,40 +645,47 @@ Pulse.prototype.getZoneStatus = function getZoneStatus() {
 };
 
 /**
- * ADT Pulse sync protocol.
+ * ADT Pulse trust device.
+ *
+ * Step 3 of the 2-factor authentication flow. Marks the fingerprint used for login as a trusted device, so future
+ * logins with the same fingerprint skip the verification code.
+ *
+ * @param {string} deviceName - The device name shown in the ADT Pulse portal.
  *
  * @returns {Q.Promise<object>}
  *
- * @since 1.0.0
+ * @since 2.2.0
  */
-Pulse.prototype.performPortalSync = function performPortalSync() {
+Pulse.prototype.trustDevice = function trustDevice(deviceName) {
   const deferred = Q.defer();
 
   this.hasInternetWrapper(deferred, () => {
-    this.consoleLogger('ADT Pulse: Performing portal sync...', 'log');
+    this.consoleLogger(`ADT Pulse: Trusting this device as "${deviceName}"...`, 'log');
 
-    request.get(
-      `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/Ajax/SyncCheckServ?t=${Date.now()}`,
+    this.transport.post(
+      `${this.baseUrl}/myhome/${this.lastKnownVersion}/mfa/trustDevice.jsp`,
       this.generateRequestOptions({
+        followAllRedirects: true,
         headers: {
-          Accept: '*/*',
-          Referer: `https://${countrySubDomain}.adtpulse.com/myhome/${lastKnownVersion}/summary/summary.jsp`,
+          Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/mfa/trustDevice.jsp`,
+        },
+        form: {
+          deviceName,
+          fingerprint: this.fingerprint,
         },
       }),
       (error, response, body) => {
-        const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/Ajax\/SyncCheckServ)(.*)/);
+        const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/summary\/summary\.jsp)/);
         const responsePath = _.get(response, 'request.uri.path');
 
         this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
         this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
 
-        if (error || !regex.test(responsePath) || body.indexOf('<html') > -1) {
-          authenticated = false;
-
-          this.consoleLogger('ADT Pulse: Portal sync failed.', 'error');
+        if (error || !regex.test(responsePath)) {
+          this.consoleLogger('ADT Pulse: Trust device failed.', 'error');
 
           deferred.reject({
-            action: 'SYNC',
+            action: 'TRUST_DEVICE',
             success: false,
             info: {
               error,
@@ -743,20 +693,22 @@ Pulse.prototype.performPortalSync = function performPortalSync() {
             },
           });
         } else {
-          this.consoleLogger('ADT Pulse: Portal sync success.', 'log');
-
-          /**
-           * May return sync codes like this:
-           *   1-0-0
-           *   2-0-0
-           *   [integer]-0-0
-           *   [integer]-[integer]-0
-           */
+          const $ = cheerio.load(body);
+          const signoutLink = $('#p_signout1').attr('href');
+          const siteId = (signoutLink !== undefined) ? signoutLink.replace(/(.*)(networkid=)(.*)(&)(.*)/g, '$3') : undefined;
+
+          // Trusting the device completes the login.
+          this.authenticated = true;
+          this.lastKnownSiteId = siteId;
+
+          this.consoleLogger('ADT Pulse: Trust device success.', 'log');
+
           deferred.resolve({
-            action: 'SYNC',
+            action: 'TRUST_DEVICE',
             success: true,
             info: {
-              syncCode: body,
+              fingerprint: this.fingerprint,
+              deviceName,
             },
           });
         }
@@ -768,34 +720,995 @@ Pulse.prototype.performPortalSync = function performPortalSync() {
 };
 
 /**
- * Internet available wrapper.
+ * ADT Pulse get device information.
  *
- * @param {Q.Deferred} deferred    - Used for rejecting promises.
- * @param {Function}   runFunction - Run function if internet is available.
+ * @param {number} [deviceId=1] - The device ID (the security panel is device 1).
+ *
+ * @returns {Q.Promise<object>}
  *
  * @since 1.0.0
  */
-Pulse.prototype.hasInternetWrapper = function hasInternetWrapper(deferred, runFunction) {
-  const settings = {
-    timeout: 5000,
-    retries: 3,
-    domainName: `${countrySubDomain}.adtpulse.com`,
-    port: 53,
-  };
+Pulse.prototype.getDeviceInformation = function getDeviceInformation(deviceId = 1) {
+  return this.sessionWrapper(() => {
+    const deferred = Q.defer();
 
-  hasInternet(settings).then(runFunction).catch(() => {
-    this.consoleLogger(`ADT Pulse: Internet connection is offline or "https://${countrySubDomain}.adtpulse.com" is unavailable.`, 'error');
+    this.hasInternetWrapper(deferred, () => {
+      this.consoleLogger('ADT Pulse: Getting device information...', 'log');
 
-    deferred.reject({
-      action: 'CONNECT',
-      success: false,
-      info: null,
+      this.transport.get(
+        `${this.baseUrl}/myhome/${this.lastKnownVersion}/system/device.jsp?id=${deviceId}`,
+        this.generateRequestOptions({
+          headers: {
+            Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/system/system.jsp`,
+          },
+        }),
+        (error, response, body) => {
+          const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/system\/device\.jsp)(.*)/);
+          const responsePath = _.get(response, 'request.uri.path');
+
+          this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
+          this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
+
+          if (error || !regex.test(responsePath)) {
+            // A zone page that fails to load does not mean the session is gone.
+            if (deviceId === 1 || this.isSessionExpired(responsePath)) {
+              this.authenticated = false;
+            }
+
+            this.consoleLogger('ADT Pulse: Get device information failed.', 'error');
+
+            deferred.reject({
+              action: 'GET_DEVICE_INFO',
+              success: false,
+              info: {
+                error,
+                message: this.getErrorMessage(body),
+                sessionExpired: this.isSessionExpired(responsePath),
+              },
+            });
+          } else {
+            this.consoleLogger('ADT Pulse: Get device information success.', 'log');
+
+            deferred.resolve({
+              action: 'GET_DEVICE_INFO',
+              success: true,
+              info: this.parseDeviceInformation(body),
+            });
+          }
+        },
+      );
     });
+
+    return deferred.promise;
   });
 };
 
 /**
- * Request options generator.
+ * ADT Pulse get device status.
+ *
+ * @returns {Q.Promise<object>}
+ *
+ * @since 1.0.0
+ */
+Pulse.prototype.getDeviceStatus = function getDeviceStatus() {
+  return this.sessionWrapper(() => {
+    const deferred = Q.defer();
+
+    this.hasInternetWrapper(deferred, () => {
+      this.consoleLogger('ADT Pulse: Getting device status...', 'log');
+
+      this.transport.get(
+        `${this.baseUrl}/myhome/${this.lastKnownVersion}/ajax/orb.jsp`,
+        this.generateRequestOptions({
+          headers: {
+            Accept: '*/*',
+            Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`,
+          },
+        }),
+        (error, response, body) => {
+          const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/ajax\/orb\.jsp)/);
+          const responsePath = _.get(response, 'request.uri.path');
+
+          this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
+          this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
+
+          if (error || !regex.test(responsePath) || body.indexOf('<html') > -1) {
+            this.authenticated = false;
+
+            this.consoleLogger('ADT Pulse: Get device status failed.', 'error');
+
+            deferred.reject({
+              action: 'GET_DEVICE_STATUS',
+              success: false,
+              info: {
+                error,
+                message: this.getErrorMessage(body),
+                sessionExpired: this.isSessionExpired(responsePath),
+              },
+            });
+          } else {
+            this.consoleLogger('ADT Pulse: Get device status success.', 'log');
+
+            deferred.resolve({
+              action: 'GET_DEVICE_STATUS',
+              success: true,
+              info: this.parseOrbSummary(body),
+            });
+          }
+        },
+      );
+    });
+
+    return deferred.promise;
+  });
+};
+
+/**
+ * ADT Pulse set device status.
+ *
+ * Notes:
+ * - When Disarming, armState will be set to "disarmed". It will be set to "off" after re-login.
+ * - When Arming Night, armState will be set to "night+stay". It will be set to "night" after re-login.
+ * - If alarm occurred, you must Clear Alarm before setting to Armed Away/Stay/Night.
+ * - For ADT Pulse Canada, you must replace the "portal" sub-domain to "portal-ca" sub-domain.
+ * - "sat" code is now required for all set actions.
+ * - If sensors are open or reporting motion, "Arm Anyway" follows the "forceArm" policy (see "forceArmDevice()").
+ *
+ * Disarmed:
+ * - Arm Away (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed&arm=away&sat=).
+ * - Arm Stay (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed&arm=stay&sat=).
+ * - Arm Night (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed&arm=night&sat=).
+ * - Disarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed&arm=off&sat=).
+ * - Clear Alarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=disarmed+with+alarm&arm=off&sat=).
+ * Armed Away:
+ * - Disarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=away&arm=off&sat=).
+ * Armed Stay:
+ * - Disarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=stay&arm=off&sat=).
+ * Armed Night:
+ * - Disarm (https://portal.adtpulse.com/myhome/quickcontrol/armDisarm.jsp?href=rest/adt/ui/client/security/setArmState&armstate=night&arm=off&sat=).
+ *
+ * @param {string} armState - Can be "disarmed", "disarmed+with+alarm", "away", "stay", or "night".
+ * @param {string} arm      - Can be "off", "away", "stay", or "night".
+ *
+ * @returns {Q.Promise<object>}
+ *
+ * @since 1.0.0
+ */
+Pulse.prototype.setDeviceStatus = function setDeviceStatus(armState, arm) {
+  return this.sessionWrapper(() => {
+    const deferred = Q.defer();
+
+    this.hasInternetWrapper(deferred, () => {
+      const url1 = `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`;
+
+      this.consoleLogger('ADT Pulse: Setting device status...', 'log');
+
+      this.transport.get(
+        url1,
+        this.generateRequestOptions(),
+        (error1, response1, body1) => {
+          const regex1 = new RegExp(/(\/myhome\/)([0-9.-]+)(\/summary\/summary\.jsp)(.*)/);
+          const responsePath1 = _.get(response1, 'request.uri.path');
+
+          this.consoleLogger(`ADT Pulse: Response path -> ${responsePath1}`, 'log');
+          this.consoleLogger(`ADT Pulse: Response path matches -> ${regex1.test(responsePath1)}`, 'log');
+
+          if (error1 || !regex1.test(responsePath1)) {
+            this.authenticated = false;
+
+            this.consoleLogger(`ADT Pulse: Set device status to ${arm} failed.`, 'error');
+
+            deferred.reject({
+              action: 'SET_DEVICE_STATUS',
+              success: false,
+              info: {
+                error: error1,
+                message: this.getErrorMessage(body1),
+                sessionExpired: this.isSessionExpired(responsePath1),
+              },
+            });
+          } else {
+            const satCode2 = this.parseSatCode(body1);
+            const url2 = `${this.baseUrl}/myhome/${this.lastKnownVersion}/quickcontrol/armDisarm.jsp`;
+            const arg2 = `?href=rest/adt/ui/client/security/setArmState&armstate=${armState}&arm=${arm}&sat=${satCode2}`;
+
+            this.transport.get(
+              url2 + arg2,
+              this.generateRequestOptions({
+                headers: {
+                  Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`,
+                },
+              }),
+              (error2, response2, body2) => {
+                const regex2 = new RegExp(/(\/myhome\/)([0-9.-]+)(\/quickcontrol\/armDisarm\.jsp)(.*)/);
+                const responsePath2 = _.get(response2, 'request.uri.path');
+
+                this.consoleLogger(`ADT Pulse: Response path -> ${responsePath2}`, 'log');
+                this.consoleLogger(`ADT Pulse: Response path matches -> ${regex2.test(responsePath2)}`, 'log');
+
+                if (error2 || !regex2.test(responsePath2)) {
+                  this.authenticated = false;
+
+                  this.consoleLogger(`ADT Pulse: Set device status to ${arm} failed.`, 'error');
+
+                  deferred.reject({
+                    action: 'SET_DEVICE_STATUS',
+                    success: false,
+                    info: {
+                      error: error2,
+                      message: this.getErrorMessage(body2),
+                      sessionExpired: this.isSessionExpired(responsePath2),
+                    },
+                  });
+                } else {
+                  const satCode3 = this.parseForceArmSatCode(body2);
+
+                  // Check if system requires force arming.
+                  if (['away', 'stay', 'night'].includes(arm) && satCode3 !== undefined) {
+                    this.forceArmDevice(armState, arm, satCode3)
+                      .then((response) => deferred.resolve(response))
+                      .catch((error) => deferred.reject(error));
+                  } else {
+                    this.consoleLogger(`ADT Pulse: Set device status to ${arm} success.`, 'log');
+
+                    deferred.resolve({
+                      action: 'SET_DEVICE_STATUS',
+                      success: true,
+                      info: {
+                        forceArm: false,
+                        forceArmPolicy: this.forceArm,
+                        decision: 'armed',
+                        bypassedZones: [],
+                        previousArm: armState,
+                        afterArm: arm,
+                      },
+                    });
+                  }
+                }
+              },
+            );
+          }
+        },
+      );
+    });
+
+    return deferred.promise;
+  });
+};
+
+/**
+ * ADT Pulse force arm device.
+ *
+ * Called when "quickcontrol/armDisarm.jsp" shows the "Arm Anyway" button. Depending on the "forceArm" policy,
+ * the zones holding up arming are bypassed ("always"), the request fails ("never"), or the request only goes
+ * through when every one of those zones is listed in "forceArmZones" ("allowlist").
+ *
+ * @param {string} armState - Can be "disarmed", "away", "stay", or "night".
+ * @param {string} arm      - Can be "away", "stay", or "night".
+ * @param {string} satCode  - The "sat" code from the "Arm Anyway" button.
+ *
+ * @returns {Q.Promise<object>}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.forceArmDevice = function forceArmDevice(armState, arm, satCode) {
+  const deferred = Q.defer();
+
+  this.getForceArmZones()
+    .then((forceArmZones) => {
+      const { openZones, zonesKnown } = forceArmZones;
+      const policy = this.checkForceArmPolicy(openZones, zonesKnown);
+      const zoneList = _.map(openZones, (zone) => `${zone.name} (${zone.id}, ${zone.state.replace('devStat', '').toLowerCase()})`).join(', ');
+
+      if (!policy.allowed) {
+        this.consoleLogger(`ADT Pulse: Set device status to ${arm} failed.`, 'error');
+
+        deferred.reject({
+          action: 'SET_DEVICE_STATUS',
+          success: false,
+          info: {
+            error: undefined,
+            message: policy.message,
+            sessionExpired: false,
+            forceArmPolicy: this.forceArm,
+            decision: 'blocked',
+            openZones,
+            blockedZones: policy.blockedZones,
+          },
+        });
+
+        return;
+      }
+
+      if (zonesKnown && openZones.length > 0) {
+        this.consoleLogger(`ADT Pulse: Some sensors are open, reporting motion, or in trouble (${zoneList}). Arming Anyway...`, 'warn');
+      } else {
+        this.consoleLogger('ADT Pulse: Some sensors are holding up arming, but the zone list is unknown. Arming Anyway...', 'warn');
+      }
+
+      const url = `${this.baseUrl}/myhome/${this.lastKnownVersion}/quickcontrol/serv/RunRRACommand`;
+      const arg = `?sat=${satCode}&href=rest/adt/ui/client/security/setForceArm&armstate=forcearm&arm=${arm}`;
+
+      this.transport.get(
+        url + arg,
+        this.generateRequestOptions({
+          headers: {
+            Accept: '*/*',
+            Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/quickcontrol/armDisarm.jsp`,
+          },
+        }),
+        (error, response, body) => {
+          const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/quickcontrol\/serv\/RunRRACommand)(.*)/);
+          const responsePath = _.get(response, 'request.uri.path');
+
+          this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
+          this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
+
+          if (error || !regex.test(responsePath)) {
+            this.authenticated = false;
+
+            this.consoleLogger(`ADT Pulse: Set device status to ${arm} failed.`, 'error');
+
+            deferred.reject({
+              action: 'SET_DEVICE_STATUS',
+              success: false,
+              info: {
+                error,
+                message: this.getErrorMessage(body),
+                sessionExpired: this.isSessionExpired(responsePath),
+              },
+            });
+          } else {
+            this.consoleLogger(`ADT Pulse: Set device status to ${arm} success.`, 'log');
+
+            deferred.resolve({
+              action: 'SET_DEVICE_STATUS',
+              success: true,
+              info: {
+                forceArm: true,
+                forceArmPolicy: this.forceArm,
+                decision: 'forceArmed',
+                bypassedZones: openZones,
+                bypassedZonesKnown: zonesKnown,
+                previousArm: armState,
+                afterArm: arm,
+              },
+            });
+          }
+        },
+      );
+    })
+    .catch((error) => {
+      this.consoleLogger(`ADT Pulse: Set device status to ${arm} failed.`, 'error');
+
+      deferred.reject(error);
+    });
+
+  return deferred.promise;
+};
+
+/**
+ * ADT Pulse get force arm zones.
+ *
+ * Looks up the zones that "Arm Anyway" would bypass: zones that are open, reporting motion, tampered, or offline
+ * (troubled zones also hold up arming). Never rejects, so the "forceArm" policy decides what an unknown zone
+ * list means.
+ *
+ * @returns {Q.Promise<object>} - The zones ("openZones") and if the zone status could be fetched ("zonesKnown").
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.getForceArmZones = function getForceArmZones() {
+  const states = ['devStatOpen', 'devStatMotion', 'devStatTamper', 'devStatUnknown'];
+
+  return this.getZoneStatus()
+    .then((zones) => ({
+      openZones: _.map(
+        _.filter(_.get(zones, 'info'), (zone) => states.includes(zone.state)),
+        (zone) => _.pick(zone, ['id', 'name', 'state']),
+      ),
+      zonesKnown: true,
+    }))
+    .catch(() => {
+      this.consoleLogger('ADT Pulse: Unable to get the zones that Arm Anyway would bypass.', 'warn');
+
+      return {
+        openZones: [],
+        zonesKnown: false,
+      };
+    });
+};
+
+/**
+ * ADT Pulse check force arm policy.
+ *
+ * Decides if "Arm Anyway" may be used. Zones in "forceArmZones" are matched by ID (e.g. "sensor-3") or by name
+ * (case-insensitive).
+ * - "always": always allowed, even if the zones are unknown.
+ * - "never": never allowed, even if no open zones were found (e.g. a zone closed after the portal asked).
+ * - "allowlist": only allowed if the zones are known, at least one was found, and every one is allowed.
+ *
+ * @param {object[]} openZones  - The zones that "Arm Anyway" would bypass.
+ * @param {boolean}  zonesKnown - If the zone status could be fetched.
+ *
+ * @returns {object} - If force arming is "allowed", the "blockedZones", and the error "message".
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.checkForceArmPolicy = function checkForceArmPolicy(openZones, zonesKnown) {
+  const zoneList = _.map(openZones, (zone) => zone.name).join(', ') || 'none found';
+
+  switch (this.forceArm) {
+    case 'never':
+      return {
+        allowed: false,
+        blockedZones: openZones,
+        message: `Arm Anyway is disabled by the "never" force arm policy. Zones holding up arming: ${zoneList}.`,
+      };
+    case 'allowlist': {
+      const blockedZones = _.reject(openZones, (zone) => _.some(
+        this.forceArmZones,
+        (allowedZone) => allowedZone === zone.id || allowedZone.toLowerCase() === zone.name.toLowerCase(),
+      ));
+
+      if (!zonesKnown || openZones.length === 0) {
+        return {
+          allowed: false,
+          blockedZones,
+          message: 'Arm Anyway is limited by the "allowlist" force arm policy, but the zones it would bypass are unknown.',
+        };
+      }
+
+      if (blockedZones.length > 0) {
+        return {
+          allowed: false,
+          blockedZones,
+          message: `Arm Anyway is limited by the "allowlist" force arm policy. Zones not allowed to be bypassed: ${_.map(blockedZones, 'name').join(', ')}.`,
+        };
+      }
+
+      return {
+        allowed: true,
+        blockedZones,
+        message: '',
+      };
+    }
+    case 'always':
+    default:
+      return {
+        allowed: true,
+        blockedZones: [],
+        message: '',
+      };
+  }
+};
+
+/**
+ * ADT Pulse set zone bypass.
+ *
+ * Bypasses (or unbypasses) zones before arming, so the rest of the system can be armed while they stay open.
+ * Zones are matched by ID (e.g. "sensor-3") or by name (case-insensitive). Most security panels clear
+ * every bypass once the system is disarmed.
+ *
+ * Bypass Zone:
+ * - https://portal.adtpulse.com/myhome/quickcontrol/serv/RunRRACommand?sat=&href=rest/adt/ui/client/security/setBypass&zone=3&bypass=true
+ * Unbypass Zone:
+ * - https://portal.adtpulse.com/myhome/quickcontrol/serv/RunRRACommand?sat=&href=rest/adt/ui/client/security/setBypass&zone=3&bypass=false
+ *
+ * @param {string[]} zones  - The zone names or IDs.
+ * @param {boolean}  bypass - Bypass (true) or unbypass (false) the zones.
+ *
+ * @returns {Q.Promise<object>}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.setZoneBypass = function setZoneBypass(zones, bypass) {
+  const deferred = Q.defer();
+  const action = (bypass) ? 'bypass' : 'unbypass';
+
+  this.getZoneStatus()
+    .then((response) => {
+      const matchedZones = _.filter(_.get(response, 'info'), (zone) => _.some(
+        zones,
+        (theZone) => theZone === zone.id || theZone.toLowerCase() === zone.name.toLowerCase(),
+      ));
+      const unknownZones = _.reject(zones, (theZone) => _.some(
+        matchedZones,
+        (zone) => theZone === zone.id || theZone.toLowerCase() === zone.name.toLowerCase(),
+      ));
+
+      if (unknownZones.length > 0) {
+        this.consoleLogger(`ADT Pulse: Set zone ${action} failed.`, 'error');
+
+        deferred.reject({
+          action: 'SET_ZONE_BYPASS',
+          success: false,
+          info: {
+            error: undefined,
+            message: `Zone(s) not found: ${unknownZones.join(', ')}.`,
+            sessionExpired: false,
+          },
+        });
+
+        return;
+      }
+
+      this.sessionWrapper(() => {
+        const theDeferred = Q.defer();
+
+        this.hasInternetWrapper(theDeferred, () => {
+          this.consoleLogger(`ADT Pulse: Setting zone ${action}...`, 'log');
+
+          this.transport.get(
+            `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`,
+            this.generateRequestOptions(),
+            (error, theResponse, body) => {
+              const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/summary\/summary\.jsp)(.*)/);
+              const responsePath = _.get(theResponse, 'request.uri.path');
+
+              this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
+              this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
+
+              if (error || !regex.test(responsePath)) {
+                this.authenticated = false;
+
+                this.consoleLogger(`ADT Pulse: Set zone ${action} failed.`, 'error');
+
+                theDeferred.reject({
+                  action: 'SET_ZONE_BYPASS',
+                  success: false,
+                  info: {
+                    error,
+                    message: this.getErrorMessage(body),
+                    sessionExpired: this.isSessionExpired(responsePath),
+                  },
+                });
+              } else {
+                const satCode = this.parseSatCode(body);
+
+                // One command per zone, in order.
+                _.reduce(
+                  matchedZones,
+                  (promise, zone) => promise.then(() => this.sendZoneBypass(satCode, zone, bypass)),
+                  Q(),
+                )
+                  .then(() => {
+                    this.consoleLogger(`ADT Pulse: Set zone ${action} success.`, 'log');
+
+                    theDeferred.resolve({
+                      action: 'SET_ZONE_BYPASS',
+                      success: true,
+                      info: {
+                        bypass,
+                        zones: _.map(matchedZones, (zone) => _.pick(zone, ['id', 'name'])),
+                      },
+                    });
+                  })
+                  .catch((bypassError) => {
+                    this.consoleLogger(`ADT Pulse: Set zone ${action} failed.`, 'error');
+
+                    theDeferred.reject(bypassError);
+                  });
+              }
+            },
+          );
+        });
+
+        return theDeferred.promise;
+      })
+        .then((result) => deferred.resolve(result))
+        .catch((bypassError) => deferred.reject(bypassError));
+    })
+    .catch((error) => {
+      this.consoleLogger(`ADT Pulse: Set zone ${action} failed.`, 'error');
+
+      deferred.reject(error);
+    });
+
+  return deferred.promise;
+};
+
+/**
+ * ADT Pulse send zone bypass.
+ *
+ * @param {string}  satCode - The "sat" code from "summary/summary.jsp".
+ * @param {object}  zone    - The zone (from "parseOrbZones()").
+ * @param {boolean} bypass  - Bypass (true) or unbypass (false) the zone.
+ *
+ * @returns {Q.Promise<void>}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.sendZoneBypass = function sendZoneBypass(satCode, zone, bypass) {
+  const deferred = Q.defer();
+  const zoneNumber = zone.id.replace('sensor-', '');
+
+  const url = `${this.baseUrl}/myhome/${this.lastKnownVersion}/quickcontrol/serv/RunRRACommand`;
+  const arg = `?sat=${satCode}&href=rest/adt/ui/client/security/setBypass&zone=${zoneNumber}&bypass=${bypass}`;
+
+  this.transport.get(
+    url + arg,
+    this.generateRequestOptions({
+      headers: {
+        Accept: '*/*',
+        Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`,
+      },
+    }),
+    (error, response, body) => {
+      const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/quickcontrol\/serv\/RunRRACommand)(.*)/);
+      const responsePath = _.get(response, 'request.uri.path');
+
+      this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
+      this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
+
+      if (error || !regex.test(responsePath) || body.indexOf('<html') > -1) {
+        this.authenticated = false;
+
+        deferred.reject({
+          action: 'SET_ZONE_BYPASS',
+          success: false,
+          info: {
+            error,
+            message: this.getErrorMessage(body) || `${zone.name} (${zone.id}) could not be changed.`,
+            sessionExpired: this.isSessionExpired(responsePath),
+          },
+        });
+      } else {
+        this.consoleLogger(`ADT Pulse: ${zone.name} (${zone.id}) ${(bypass) ? 'bypassed' : 'unbypassed'}.`, 'log');
+
+        deferred.resolve();
+      }
+    },
+  );
+
+  return deferred.promise;
+};
+
+/**
+ * ADT Pulse get zone status.
+ *
+ * @returns {Q.Promise<object>}
+ *
+ * @since 1.0.0
+ */
+Pulse.prototype.getZoneStatus = function getZoneStatus() {
+  return this.sessionWrapper(() => {
+    const deferred = Q.defer();
+
+    this.hasInternetWrapper(deferred, () => {
+      this.consoleLogger('ADT Pulse: Getting zone status...', 'log');
+
+      this.transport.get(
+        `${this.baseUrl}/myhome/${this.lastKnownVersion}/ajax/orb.jsp`,
+        this.generateRequestOptions({
+          headers: {
+            Accept: '*/*',
+            Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`,
+          },
+        }),
+        (error, response, body) => {
+          const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/ajax\/orb\.jsp)/);
+          const responsePath = _.get(response, 'request.uri.path');
+
+          this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
+          this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
+
+          if (error || !regex.test(responsePath) || body.indexOf('<html') > -1) {
+            this.authenticated = false;
+
+            this.consoleLogger('ADT Pulse: Get zone status failed.', 'error');
+
+            deferred.reject({
+              action: 'GET_ZONE_STATUS',
+              success: false,
+              info: {
+                error,
+                message: this.getErrorMessage(body),
+                sessionExpired: this.isSessionExpired(responsePath),
+              },
+            });
+          } else {
+            const zones = this.parseOrbZones(body);
+
+            this.getZoneDeviceTypes(zones)
+              .then((fetched) => {
+                this.consoleLogger('ADT Pulse: Get zone status success.', 'log');
+
+                deferred.resolve({
+                  action: 'GET_ZONE_STATUS',
+                  success: true,
+                  // Classify again with the newly fetched (or failed) device types.
+                  info: (fetched > 0) ? this.parseOrbZones(body) : zones,
+                });
+              });
+          }
+        },
+      );
+    });
+
+    return deferred.promise;
+  });
+};
+
+/**
+ * ADT Pulse get zone device types.
+ *
+ * Fetches the declared device type of zones that are not cached yet. Zones that fail are retried later (after 1
+ * minute, then every 10 minutes after 3 failures) instead of on every zone status update.
+ *
+ * @param {object[]} zones - The zones (from "parseOrbZones()").
+ *
+ * @returns {Q.Promise<number>} - The number of zones looked up.
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.getZoneDeviceTypes = function getZoneDeviceTypes(zones) {
+  const uncachedZones = _.filter(zones, (zone) => (
+    zone.deviceId !== undefined
+    && this.zoneDeviceTypes[zone.deviceId] === undefined
+    && _.get(this.zoneDeviceTypeFailures, [zone.deviceId, 'retryAt'], 0) <= Date.now()
+  ));
+
+  // One request at a time.
+  return _.reduce(
+    uncachedZones,
+    (promise, zone) => promise
+      .then(() => this.getDeviceInformation(zone.deviceId))
+      .then((response) => {
+        const deviceType = _.get(response, 'info.type', '');
+
+        this.consoleLogger(`ADT Pulse: ${zone.name} (${zone.id}) device type is "${deviceType}".`, 'log');
+
+        this.zoneDeviceTypes[zone.deviceId] = deviceType;
+
+        delete this.zoneDeviceTypeFailures[zone.deviceId];
+      })
+      .catch(() => {
+        const count = _.get(this.zoneDeviceTypeFailures, [zone.deviceId, 'count'], 0) + 1;
+
+        this.consoleLogger(`ADT Pulse: ${zone.name} (${zone.id}) device type is unknown (attempt ${count}). Retrying later...`, 'warn');
+
+        this.zoneDeviceTypeFailures[zone.deviceId] = {
+          count,
+          retryAt: Date.now() + ((count < 3) ? 60000 : 600000),
+        };
+      }),
+    Q(),
+  ).then(() => uncachedZones.length);
+};
+
+/**
+ * ADT Pulse is zone device type pending.
+ *
+ * @param {(undefined|number)} deviceId - The zone device ID.
+ *
+ * @returns {boolean} - If the device type is not known yet, but will be looked up again (fewer than 3 failures).
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.isZoneDeviceTypePending = function isZoneDeviceTypePending(deviceId) {
+  if (deviceId === undefined || this.zoneDeviceTypes[deviceId] !== undefined) {
+    return false;
+  }
+
+  return _.get(this.zoneDeviceTypeFailures, [deviceId, 'count'], 0) < 3;
+};
+
+/**
+ * ADT Pulse sync protocol.
+ *
+ * @returns {Q.Promise<object>}
+ *
+ * @since 1.0.0
+ */
+Pulse.prototype.performPortalSync = function performPortalSync() {
+  return this.sessionWrapper(() => {
+    const deferred = Q.defer();
+
+    this.hasInternetWrapper(deferred, () => {
+      this.consoleLogger('ADT Pulse: Performing portal sync...', 'log');
+
+      this.transport.get(
+        `${this.baseUrl}/myhome/${this.lastKnownVersion}/Ajax/SyncCheckServ?t=${Date.now()}`,
+        this.generateRequestOptions({
+          headers: {
+            Accept: '*/*',
+            Referer: `${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`,
+          },
+        }),
+        (error, response, body) => {
+          const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/Ajax\/SyncCheckServ)(.*)/);
+          const responsePath = _.get(response, 'request.uri.path');
+
+          this.consoleLogger(`ADT Pulse: Response path -> ${responsePath}`, 'log');
+          this.consoleLogger(`ADT Pulse: Response path matches -> ${regex.test(responsePath)}`, 'log');
+
+          if (error || !regex.test(responsePath) || body.indexOf('<html') > -1) {
+            this.authenticated = false;
+
+            this.consoleLogger('ADT Pulse: Portal sync failed.', 'error');
+
+            deferred.reject({
+              action: 'SYNC',
+              success: false,
+              info: {
+                error,
+                message: this.getErrorMessage(body),
+                sessionExpired: this.isSessionExpired(responsePath),
+              },
+            });
+          } else {
+            this.consoleLogger('ADT Pulse: Portal sync success.', 'log');
+
+            /**
+             * May return sync codes like this:
+             *   1-0-0
+             *   2-0-0
+             *   [integer]-0-0
+             *   [integer]-[integer]-0
+             */
+            deferred.resolve({
+              action: 'SYNC',
+              success: true,
+              info: {
+                syncCode: body,
+              },
+            });
+          }
+        },
+      );
+    });
+
+    return deferred.promise;
+  });
+};
+
+/**
+ * ADT Pulse get session.
+ *
+ * Serializes the portal session (cookies, portal version, and site ID) so it can be reused after a restart.
+ *
+ * @returns {(null|object)}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.getSession = function getSession() {
+  if (!this.authenticated || this.jar === undefined) {
+    return null;
+  }
+
+  const cookies = this.jar.getCookies(`${this.baseUrl}/myhome/${this.lastKnownVersion}/summary/summary.jsp`);
+
+  return {
+    cookies: _.map(cookies, (cookie) => cookie.toString()),
+    version: this.lastKnownVersion,
+    siteId: this.lastKnownSiteId,
+  };
+};
+
+/**
+ * ADT Pulse set session.
+ *
+ * Restores a session from "getSession". If the portal rejects it, the next request fails and a full login happens.
+ *
+ * @param {object}   session         - The session object.
+ * @param {string[]} session.cookies - The session cookies.
+ * @param {string}   session.version - The last known portal version.
+ * @param {string}   session.siteId  - The last known site ID.
+ *
+ * @returns {boolean}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.setSession = function setSession(session) {
+  const cookies = _.get(session, 'cookies');
+  const version = _.get(session, 'version');
+  const siteId = _.get(session, 'siteId');
+
+  if (!_.isArray(cookies) || cookies.length === 0 || !_.isString(version) || version === '') {
+    this.consoleLogger('ADT Pulse: Saved session is invalid.', 'warn');
+
+    return false;
+  }
+
+  this.jar = this.transport.jar();
+
+  try {
+    _.forEach(cookies, (cookie) => {
+      this.jar.setCookie(cookie, `${this.baseUrl}/myhome/${version}/summary/summary.jsp`);
+    });
+  } catch (error) {
+    this.jar = undefined;
+
+    this.consoleLogger('ADT Pulse: Saved session cookies are invalid.', 'warn');
+
+    return false;
+  }
+
+  this.authenticated = true;
+  this.lastKnownVersion = version;
+  this.lastKnownSiteId = siteId;
+
+  this.consoleLogger(`ADT Pulse: Restored session -> ${version} (${siteId})`, 'log');
+
+  return true;
+};
+
+/**
+ * Session wrapper.
+ *
+ * When the portal redirects a request to the sign-in page (expired session), log in again and retry the request once.
+ *
+ * @param {Function} runFunction - Run function that returns the request promise.
+ *
+ * @returns {Q.Promise<object>}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.sessionWrapper = function sessionWrapper(runFunction) {
+  return runFunction().catch((error) => {
+    if (_.get(error, 'info.sessionExpired') !== true) {
+      throw error;
+    }
+
+    this.consoleLogger('ADT Pulse: Session expired. Logging in again and retrying...', 'warn');
+
+    // Requests that expire at the same time wait for the same login.
+    return this.login().then(() => runFunction());
+  });
+};
+
+/**
+ * Is session expired.
+ *
+ * @param {string} responsePath - The response path after redirects.
+ *
+ * @returns {boolean}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.isSessionExpired = function isSessionExpired(responsePath) {
+  const regex = new RegExp(/(\/myhome\/)([0-9.-]+)(\/access\/signin\.jsp)/);
+
+  return regex.test(responsePath);
+};
+
+/**
+ * Internet available wrapper.
+ *
+ * @param {Q.Deferred} deferred    - Used for rejecting promises.
+ * @param {Function}   runFunction - Run function if internet is available.
+ *
+ * @since 1.0.0
+ */
+Pulse.prototype.hasInternetWrapper = function hasInternetWrapper(deferred, runFunction) {
+  const hostname = new URL(this.baseUrl).hostname.replace(/^\[|\]$/g, '');
+  const settings = {
+    timeout: 5000,
+    retries: 3,
+    domainName: hostname,
+    port: 53,
+  };
+
+  // Local stand-in servers cannot be resolved through public DNS.
+  if (hostname === 'localhost' || net.isIP(hostname) !== 0) {
+    runFunction();
+    return;
+  }
+
+  hasInternet(settings).then(runFunction).catch(() => {
+    this.consoleLogger(`ADT Pulse: Internet connection is offline or "${this.baseUrl}" is unavailable.`, 'error');
+
+    deferred.reject({
+      action: 'CONNECT',
+      success: false,
+      info: null,
+    });
+  });
+};
+
+/**
+ * Request options generator.
  *
  * @param {object} additionalOptions - Additional options.
  *
@@ -805,10 +1718,10 @@ Pulse.prototype.hasInternetWrapper = function hasInternetWrapper(deferred, runFu
  */
 Pulse.prototype.generateRequestOptions = function generateRequestOptions(additionalOptions = {}) {
   const options = {
-    jar,
+    jar: this.jar,
     headers: {
       Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      Host: `${countrySubDomain}.adtpulse.com`,
+      Host: this.portalHost,
       'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.4896.127 Safari/537.36 Edg/100.0.1185.44',
     },
     ciphers: [
@@ -821,6 +1734,432 @@ Pulse.prototype.generateRequestOptions = function generateRequestOptions(additio
   return _.merge(options, additionalOptions);
 };
 
+/**
+ * ADT Pulse parse orb summary.
+ *
+ * Parses the security panel state and status from "ajax/orb.jsp" (or "summary/summary.jsp").
+ *
+ * @param {string} body - The response body.
+ *
+ * @returns {object}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.parseOrbSummary = function parseOrbSummary(body) {
+  const $ = cheerio.load(body);
+  // Line breaks only show up in broken pages, keep the summary on one line.
+  const textSummary = $('#divOrbTextSummary span').text().replace(/\s*[\r\n]+\s*/g, ' ');
+  const theState = textSummary.replace(/([A-Z a-z ]+)(\.[  ]?)([A-Z a-z 0-9]*)(\.?)(.*)/g, '$1');
+  const theStatus = textSummary.replace(/([A-Z a-z ]+)(\.[  ]?)([A-Z a-z 0-9]*)(\.?)(.*)/g, '$3');
+
+  /**
+   * These are the possible states and statuses.
+   *
+   * State:
+   *   "Disarmed"
+   *   "Armed Away"
+   *   "Armed Stay"
+   *   "Armed Night"
+   *   "Arming Away", "Arming Stay", or "Arming Night" (exit delay)
+   *   "Status Unavailable"
+   * Status:
+   *   "All Quiet"
+   *   "1 Sensor Open" or "x Sensors Open"
+   *   "Sensor Bypassed" or "Sensors Bypassed"
+   *   "Sensor Tripped" or "Sensors Tripped"
+   *   "Motion"
+   *   "Uncleared Alarm"
+   *   "Carbon Monoxide Alarm"
+   *   "FIRE ALARM"
+   *   "BURGLARY ALARM"
+   *   "Sensor Problem"
+   *   "Exit Delay" or "Entry Delay"
+   *   ""
+   */
+  return {
+    summary: textSummary,
+    state: theState,
+    status: theStatus,
+    alarm: this.parseAlarmCause(theStatus),
+    delay: this.parseArmingDelay(theState, theStatus),
+  };
+};
+
+/**
+ * ADT Pulse parse arming delay.
+ *
+ * @param {string} state  - The orb state (e.g. "Arming Away").
+ * @param {string} status - The orb status (e.g. "Exit Delay").
+ *
+ * @returns {string} - Can be "exit" (counting down before arming), "entry" (counting down before alarming), or "".
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.parseArmingDelay = function parseArmingDelay(state, status) {
+  const lowerCaseState = `${state}`.toLowerCase();
+  const lowerCaseStatus = `${status}`.toLowerCase();
+
+  if (lowerCaseState.startsWith('arming') || lowerCaseStatus.includes('exit delay')) {
+    return 'exit';
+  }
+
+  if (lowerCaseStatus.includes('entry delay')) {
+    return 'entry';
+  }
+
+  return '';
+};
+
+/**
+ * ADT Pulse parse alarm cause.
+ *
+ * @param {string} status - The orb status (e.g. "BURGLARY ALARM").
+ *
+ * @returns {string} - Can be "burglary", "fire", "co", "panic", "other", or "" (no active alarm, or uncleared alarm).
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.parseAlarmCause = function parseAlarmCause(status) {
+  const lowerCaseStatus = `${status}`.toLowerCase();
+
+  if (!lowerCaseStatus.includes('alarm') || lowerCaseStatus.includes('uncleared alarm')) {
+    return '';
+  }
+
+  if (lowerCaseStatus.includes('burglary')) {
+    return 'burglary';
+  }
+
+  if (lowerCaseStatus.includes('fire')) {
+    return 'fire';
+  }
+
+  if (lowerCaseStatus.includes('carbon monoxide')) {
+    return 'co';
+  }
+
+  if (lowerCaseStatus.includes('panic')) {
+    return 'panic';
+  }
+
+  return 'other';
+};
+
+/**
+ * ADT Pulse parse orb zones.
+ *
+ * Parses the zones (sensors) from "ajax/orb.jsp" and detects their sensor types.
+ *
+ * @param {string} body - The response body.
+ *
+ * @returns {object[]}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.parseOrbZones = function parseOrbZones(body) {
+  const $ = cheerio.load(body);
+  const sensors = $('#orbSensorsList table tr.p_listRow').toArray();
+
+  const zones = _.map(sensors, (sensor) => {
+    const theSensor = cheerio.load([].concat(sensor));
+    const theName = theSensor('a.p_deviceNameText').html();
+    const theZone = theSensor('span.p_grayNormalText').html();
+    const theState = theSensor('span.devStatIcon canvas').attr('icon');
+
+    const theZoneNumber = (theZone) ? theZone.replace(/(Zone)(&#xA0;|&nbsp;)([0-9]{1,2})/, '$3') : 0;
+
+    // Rows without a zone number (e.g. a truncated page) cannot be told apart.
+    if (!/^[0-9]+$/.test(theZoneNumber) || Number(theZoneNumber) === 0) {
+      return undefined;
+    }
+
+    const theLink = theSensor('a.p_deviceNameText').attr('href') || '';
+    const theDeviceId = theLink.match(/system\/device\.jsp\?id=([0-9]+)/);
+
+    const deviceId = (theDeviceId) ? Number(theDeviceId[1]) : undefined;
+    const deviceType = (deviceId !== undefined) ? this.zoneDeviceTypes[deviceId] : undefined;
+
+    // Offline zones are still classified, so they show up as faulted instead of missing.
+    const theClass = (typeof theName === 'string') ? this.classifyZone(theName, deviceType, Number(theZoneNumber)) : {};
+
+    /**
+     * Expected output.
+     *
+     * id:                sensor-[integer]
+     * name:              device name
+     * deviceId:          device ID from "system/device.jsp?id=[integer]" (undefined if not linked)
+     * deviceType:        device type declared in "system/device.jsp" (undefined if not fetched yet)
+     * deviceTypePending: the device type is still being looked up (the type may change once it is known)
+     * tags:              sensor,[doorWindow,motion,glass,co,fire,water,temperature,shock,panic]
+     * detectedBy:        how the type was detected (e.g. "override", "sensor rule #1", "device type", or "name")
+     * state:             devStatOK (device okay)
+     *                    devStatLowBatt (device low battery)
+     *                    devStatOpen (door/window opened)
+     *                    devStatMotion (detected motion)
+     *                    devStatTamper (device tamper)
+     *                    devStatAlarm (detected CO/Smoke, glass break, water, low temperature, shock, or panic)
+     *                    devStatUnknown (device offline)
+     */
+    return {
+      id: `sensor-${theZoneNumber}`,
+      name: theName || '',
+      deviceId,
+      deviceType,
+      deviceTypePending: this.isZoneDeviceTypePending(deviceId),
+      tags: theClass.tag || 'sensor',
+      detectedBy: theClass.detectedBy,
+      state: theState || 'devStatUnknown',
+    };
+  });
+
+  return _.compact(zones);
+};
+
+/**
+ * ADT Pulse classify zone.
+ *
+ * Detects the sensor type of a zone. Override sensors come first, then sensor rules (in order), then the device
+ * type declared by the portal, then keywords in the zone name. Override and rule types are validated by the platform.
+ *
+ * @param {string}             name       - The zone name.
+ * @param {(undefined|string)} deviceType - The device type from "system/device.jsp".
+ * @param {number}             zone       - The zone number.
+ *
+ * @returns {object} - The sensor tag (e.g. "sensor,doorWindow", undefined if unknown) and how it was detected.
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.classifyZone = function classifyZone(name, deviceType, zone) {
+  const theNameLowercase = name.toLowerCase();
+  const theOverrideSensor = _.find(this.overrideSensors, (overrideSensor) => {
+    // Zone-level overrides (by zone ID) take the place of name matches.
+    if (_.get(overrideSensor, 'id') !== undefined) {
+      return overrideSensor.id === `sensor-${zone}`;
+    }
+
+    return _.toLower(_.get(overrideSensor, 'name')) === theNameLowercase;
+  });
+  const theRuleIndex = _.findIndex(this.sensorRules, (rule) => this.matchSensorRule(rule, name, deviceType, zone));
+  const theDeviceTag = this.parseDeviceType(deviceType);
+
+  // Overrides without a type (e.g. only renaming a zone) leave detection to the steps below.
+  if (_.get(theOverrideSensor, 'type') !== undefined) {
+    const theOverrideSensorType = _.get(theOverrideSensor, 'type');
+
+    this.consoleLogger(`ADT Pulse: ${name} sensor type is manually overridden to "${theOverrideSensorType}".`, 'warn');
+
+    return {
+      tag: theOverrideSensorType,
+      detectedBy: 'override',
+    };
+  }
+
+  if (theRuleIndex > -1) {
+    const theRuleType = _.get(this.sensorRules[theRuleIndex], 'type');
+
+    return {
+      tag: theRuleType,
+      detectedBy: `sensor rule #${theRuleIndex + 1}`,
+    };
+  }
+
+  if (theDeviceTag !== undefined) {
+    return {
+      tag: theDeviceTag,
+      detectedBy: 'device type',
+    };
+  }
+
+  const theNameTags = [
+    [/^(.*)(glass)(.*)$/g, 'sensor,glass'],
+    [/^(.*)(motion)(.*)$/g, 'sensor,motion'],
+    [/^(.*)(gas)(.*)$/g, 'sensor,co'],
+    // Checked before "heat", so "Water Heater Flood" is not a fire sensor.
+    [/\b(water|flood|leak)\b/g, 'sensor,water'],
+    // Whole words only, so "Temple St Door" and "Freezer Door" stay door/window sensors.
+    [/\b(temp|temperature|freeze|frost)\b/g, 'sensor,temperature'],
+    [/^(.*)(smoke|heat)(.*)$/g, 'sensor,fire'],
+    [/\b(shock|vibration)\b/g, 'sensor,shock'],
+    // "Emergency" alone is not enough, so "Emergency Exit Door" stays a door/window sensor.
+    [/\b(panic(\s+(button|pendant))?|emergency\s+(button|pendant))\b/g, 'sensor,panic'],
+    [/^(.*)(door|window|dr|win|slider)(.*)$/g, 'sensor,doorWindow'],
+  ];
+  const theNameTag = _.find(theNameTags, ([regex]) => theNameLowercase.match(regex) !== null);
+
+  return {
+    tag: _.get(theNameTag, 1),
+    detectedBy: (theNameTag !== undefined) ? 'name' : undefined,
+  };
+};
+
+/**
+ * ADT Pulse match sensor rule.
+ *
+ * A rule matches when every condition it sets matches:
+ * - "name": regular expression tested against the zone name (case-insensitive).
+ * - "zoneFrom" and "zoneTo": zone number range (inclusive).
+ * - "deviceType": text found in the device type from "system/device.jsp" (case-insensitive).
+ *
+ * @param {object}             rule       - The sensor rule.
+ * @param {string}             name       - The zone name.
+ * @param {(undefined|string)} deviceType - The device type from "system/device.jsp".
+ * @param {number}             zone       - The zone number.
+ *
+ * @returns {boolean}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.matchSensorRule = function matchSensorRule(rule, name, deviceType, zone) {
+  const ruleName = _.get(rule, 'name');
+  const ruleZoneFrom = _.get(rule, 'zoneFrom');
+  const ruleZoneTo = _.get(rule, 'zoneTo');
+  const ruleDeviceType = _.get(rule, 'deviceType');
+
+  // Rules without conditions never match.
+  if (!ruleName && ruleZoneFrom === undefined && ruleZoneTo === undefined && !ruleDeviceType) {
+    return false;
+  }
+
+  if (ruleName) {
+    try {
+      if (!new RegExp(ruleName, 'i').test(name)) {
+        return false;
+      }
+    } catch (error) {
+      return false;
+    }
+  }
+
+  if (ruleZoneFrom !== undefined && !(zone >= ruleZoneFrom)) {
+    return false;
+  }
+
+  if (ruleZoneTo !== undefined && !(zone <= ruleZoneTo)) {
+    return false;
+  }
+
+  if (ruleDeviceType && !_.includes(_.toLower(deviceType), ruleDeviceType.toLowerCase())) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * ADT Pulse parse device type.
+ *
+ * Maps the device type declared in "system/device.jsp" (e.g. "Door/Window Sensor" or "Glass Break Detector")
+ * to a sensor tag.
+ *
+ * @param {(undefined|string)} deviceType - The device type.
+ *
+ * @returns {(undefined|string)} - The sensor tag, or undefined if the device type is unknown.
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.parseDeviceType = function parseDeviceType(deviceType) {
+  const type = (typeof deviceType === 'string') ? deviceType.toLowerCase() : '';
+
+  if (type === '') {
+    return undefined;
+  }
+
+  if (type.match(/(water|flood|leak)/) !== null) {
+    return 'sensor,water';
+  }
+
+  if (type.match(/(temperature|freeze)/) !== null) {
+    return 'sensor,temperature';
+  }
+
+  if (type.match(/(carbon monoxide|co detector)/) !== null) {
+    return 'sensor,co';
+  }
+
+  if (type.match(/(smoke|heat|fire)/) !== null) {
+    return 'sensor,fire';
+  }
+
+  if (type.match(/(glass break)/) !== null) {
+    return 'sensor,glass';
+  }
+
+  if (type.match(/(motion)/) !== null) {
+    return 'sensor,motion';
+  }
+
+  if (type.match(/(shock|vibration)/) !== null) {
+    return 'sensor,shock';
+  }
+
+  if (type.match(/(panic|emergency)/) !== null) {
+    return 'sensor,panic';
+  }
+
+  if (type.match(/(door|window)/) !== null) {
+    return 'sensor,doorWindow';
+  }
+
+  return undefined;
+};
+
+/**
+ * ADT Pulse parse device information.
+ *
+ * Parses the device name, manufacturer, and type from "system/device.jsp".
+ *
+ * @param {string} body - The response body.
+ *
+ * @returns {object}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.parseDeviceInformation = function parseDeviceInformation(body) {
+  const $ = cheerio.load(body);
+
+  return {
+    name: $('td.InputFieldDescriptionL:contains("Name")').next().text().trim(),
+    make: $('td.InputFieldDescriptionL:contains("Manufacturer")').next().text().trim(),
+    type: $('td.InputFieldDescriptionL:contains("Type")').next().text().trim(),
+  };
+};
+
+/**
+ * ADT Pulse parse sat code.
+ *
+ * Parses the "sat" code from the arm/disarm buttons in "summary/summary.jsp".
+ *
+ * @param {string} body - The response body.
+ *
+ * @returns {(undefined|string)}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.parseSatCode = function parseSatCode(body) {
+  const $ = cheerio.load(body);
+  const onClick = $('input[id^="security_button_"]').attr('onclick');
+
+  return (onClick !== undefined) ? onClick.replace(/(.*)(&sat=)([0-9a-z-]*)('\))/g, '$3') : undefined;
+};
+
+/**
+ * ADT Pulse parse force arm sat code.
+ *
+ * Parses the "sat" code from the "Arm Anyway" button in "quickcontrol/armDisarm.jsp". Only shown when sensors are open or reporting motion.
+ *
+ * @param {string} body - The response body.
+ *
+ * @returns {(undefined|string)}
+ *
+ * @since 2.2.0
+ */
+Pulse.prototype.parseForceArmSatCode = function parseForceArmSatCode(body) {
+  const $ = cheerio.load(body);
+  const onClick = $('input[id^="arm_button_"][value="Arm Anyway"]').attr('onclick');
+
+  return (onClick !== undefined) ? onClick.replace(/(.*)(\?sat=)([0-9a-z-]*)(&href=)(.*)/g, '$3') : undefined;
+};
+
 /**
  * ADT Pulse get error message.
  *
@@ -0,0 +1,231 @@
+/**
+ * ADT Pulse Homebridge Plugin UI Server.
+ *
+ * Lets Homebridge Config UI X test the login, complete 2-factor authentication, and preview the security panel and
+ * zones before the configuration is saved.
+ *
+ * @since 2.2.0
+ */
+const { HomebridgePluginUiServer, RequestError } = require('@homebridge/plugin-ui-utils');
+const _ = require('lodash');
+
+const Pulse = require('../api');
+
+/**
+ * Plugin UI server constructor.
+ *
+ * @constructor
+ *
+ * @since 2.2.0
+ */
+function PluginUiServer() {
+  this.server = new HomebridgePluginUiServer();
+
+  // Kept between requests, so the 2-factor authentication steps share the same portal session.
+  this.pulse = null;
+  this.fingerprint = '';
+
+  this.server.onRequest('/login', (payload) => this.login(payload));
+  this.server.onRequest('/mfa/request-code', (payload) => this.requestMfaCode(payload));
+  this.server.onRequest('/mfa/verify-code', (payload) => this.verifyMfaCode(payload));
+  this.server.onRequest('/preview', () => this.preview());
+  this.server.onRequest('/logout', () => this.logout());
+
+  this.server.ready();
+}
+
+/**
+ * Test login.
+ *
+ * @param {object}   payload                 - The login form.
+ * @param {string}   payload.username        - Email address used for ADT Pulse login.
+ * @param {string}   payload.password        - Password used for ADT Pulse login.
+ * @param {string}   payload.fingerprint     - MFA fingerprint. A new fingerprint is generated if empty.
+ * @param {string}   payload.country         - Can be "us" or "ca".
+ * @param {string}   payload.baseUrl         - The portal base URL (optional).
+ * @param {string}   payload.siteId          - The site ID to select (optional).
+ * @param {string}   payload.siteName        - The site name to select (optional).
+ * @param {object[]} payload.overrideSensors - The "overrideSensors" setting, so the preview detects sensor types the same way (optional).
+ * @param {object[]} payload.sensorRules     - The "sensorRules" setting (optional).
+ *
+ * @returns {Promise<object>}
+ *
+ * @since 2.2.0
+ */
+PluginUiServer.prototype.login = function login(payload) {
+  this.fingerprint = _.get(payload, 'fingerprint') || Pulse.prototype.generateFingerprint();
+  this.pulse = new Pulse({
+    username: _.get(payload, 'username', ''),
+    password: _.get(payload, 'password', ''),
+    fingerprint: this.fingerprint,
+    country: _.get(payload, 'country', 'us'),
+    baseUrl: _.get(payload, 'baseUrl', ''),
+    siteId: _.get(payload, 'siteId', ''),
+    siteName: _.get(payload, 'siteName', ''),
+    overrideSensors: _.castArray(_.get(payload, 'overrideSensors', [])),
+    sensorRules: _.castArray(_.get(payload, 'sensorRules', [])),
+  });
+
+  return this.pulse
+    .login()
+    .then((response) => ({
+      mfaRequired: false,
+      fingerprint: this.fingerprint,
+      version: _.get(response, 'info.version'),
+      siteId: _.get(response, 'info.siteId'),
+    }))
+    .catch((error) => {
+      if (_.get(error, 'info.mfaRequired') === true) {
+        return {
+          mfaRequired: true,
+          fingerprint: this.fingerprint,
+        };
+      }
+
+      throw this.createError('Login failed. Check your username, password, and country.', error);
+    });
+};
+
+/**
+ * Request MFA code.
+ *
+ * @param {object} payload        - The 2-factor authentication form.
+ * @param {string} payload.method - Can be "sms" or "email".
+ *
+ * @returns {Promise<object>}
+ *
+ * @since 2.2.0
+ */
+PluginUiServer.prototype.requestMfaCode = function requestMfaCode(payload) {
+  if (this.pulse === null) {
+    return Promise.reject(new RequestError('Test the login before requesting a verification code.'));
+  }
+
+  return this.pulse
+    .requestMfaCode(_.get(payload, 'method', 'sms'))
+    .then((response) => _.get(response, 'info'))
+    .catch((error) => {
+      throw this.createError('Failed to request a verification code.', error);
+    });
+};
+
+/**
+ * Verify MFA code and trust this device.
+ *
+ * @param {object} payload            - The 2-factor authentication form.
+ * @param {string} payload.code       - The verification code.
+ * @param {string} payload.deviceName - The trusted device name shown in ADT Pulse.
+ *
+ * @returns {Promise<object>}
+ *
+ * @since 2.2.0
+ */
+PluginUiServer.prototype.verifyMfaCode = function verifyMfaCode(payload) {
+  if (this.pulse === null) {
+    return Promise.reject(new RequestError('Test the login before submitting a verification code.'));
+  }
+
+  return this.pulse
+    .verifyMfaCode(_.get(payload, 'code', ''))
+    .then(() => this.pulse.trustDevice(_.get(payload, 'deviceName') || 'Homebridge'))
+    .then((response) => ({
+      fingerprint: _.get(response, 'info.fingerprint'),
+    }))
+    .catch((error) => {
+      throw this.createError('Verification failed. Request a new code and try again.', error);
+    });
+};
+
+/**
+ * Preview security panel and zones.
+ *
+ * @returns {Promise<object>}
+ *
+ * @since 2.2.0
+ */
+PluginUiServer.prototype.preview = function preview() {
+  if (this.pulse === null) {
+    return Promise.reject(new RequestError('Test the login before previewing the system.'));
+  }
+
+  const output = {};
+
+  return this.pulse
+    .getDeviceInformation()
+    .then((response) => {
+      output.device = _.get(response, 'info');
+    })
+    .then(() => this.pulse.getDeviceStatus())
+    .then((response) => {
+      output.status = _.get(response, 'info');
+    })
+    .then(() => this.pulse.getZoneStatus())
+    .then((response) => {
+      output.zones = _.map(_.get(response, 'info'), (zone) => {
+        const tags = _.get(zone, 'tags', 'sensor');
+
+        return {
+          id: _.get(zone, 'id'),
+          name: _.get(zone, 'name'),
+          type: (tags !== 'sensor') ? tags.substr(tags.indexOf(',') + 1) : null,
+          state: _.get(zone, 'state'),
+        };
+      });
+
+      return output;
+    })
+    .catch((error) => {
+      throw this.createError('Failed to preview the system.', error);
+    });
+};
+
+/**
+ * Logout.
+ *
+ * @returns {Promise<object>}
+ *
+ * @since 2.2.0
+ */
+PluginUiServer.prototype.logout = function logout() {
+  if (this.pulse === null) {
+    return Promise.resolve({});
+  }
+
+  return this.pulse
+    .logout()
+    .then(() => {
+      this.pulse = null;
+
+      return {};
+    })
+    .catch(() => {
+      this.pulse = null;
+
+      return {};
+    });
+};
+
+/**
+ * Create request error.
+ *
+ * @param {string} message - The error message shown in the UI.
+ * @param {object} error   - The error response object from the API.
+ *
+ * @returns {RequestError}
+ *
+ * @since 2.2.0
+ */
+PluginUiServer.prototype.createError = function createError(message, error) {
+  const infoMessage = _.get(error, 'info.message');
+
+  return new RequestError((infoMessage) ? `${message} ${infoMessage}` : message, {
+    action: _.get(error, 'action'),
+  });
+};
+
+/**
+ * Start the plugin UI server.
+ *
+ * @since 2.2.0
+ */
+(() => new PluginUiServer())();
@@ -3,7 +3,10 @@
  *
  * @since 1.0.0
  */
+const crypto = require('crypto');
+const fs = require('fs');
 const _ = require('lodash');
+const path = require('path');
 
 const packageJson = require('./package.json');
 const Pulse = require('./api');
@@ -12,6 +15,8 @@ let Accessory;
 let Service;
 let Characteristic;
 let UUIDGen;
+let HapStatusError;
+let HAPStatus;
 
 /**
  * Platform constructor.
@@ -28,38 +33,37 @@ function ADTPulsePlatform(log, config, api) {
   this.log = log;
   this.config = config;
 
-  // Where the security panel and sensors are held.
+  // Where the security panels and sensors are held.
   this.accessories = [];
-  this.deviceStatus = {};
-  this.zoneStatus = {};
 
-  // Keeps track of failed times.
-  this.failedLoginTimes = 0;
-  this.stalledSyncTimes = 0;
-
-  // Keeps track of device updates.
-  this.lastSyncCode = '1-0-0';
-  this.portalSyncSession = {};
-  this.isSyncing = false;
-
-  // Session data.
-  this.sessionVersion = '';
+  // Where the ADT Pulse sites (one per account) are held.
+  this.sites = [];
 
   // These variables could be undefined.
   this.username = _.get(this.config, 'username');
   this.password = _.get(this.config, 'password');
   this.fingerprint = _.get(this.config, 'fingerprint');
-  this.overrideSensors = _.get(this.config, 'overrideSensors');
+  this.siteId = _.get(this.config, 'siteId');
+  this.siteName = _.get(this.config, 'siteName');
+  this.accounts = _.get(this.config, 'accounts');
+  this.zoneServices = _.get(this.config, 'zoneServices');
+  this.forceArm = _.get(this.config, 'forceArm');
   this.country = _.get(this.config, 'country');
+  this.baseUrl = _.get(this.config, 'baseUrl');
   this.logLevel = _.get(this.config, 'logLevel');
   this.logActivity = _.get(this.config, 'logActivity');
+  this.alarmSensors = _.get(this.config, 'alarmSensors');
+  this.entryDelaySensor = _.get(this.config, 'entryDelaySensor');
+  this.armDisarmTimeout = _.get(this.config, 'armDisarmTimeout');
+  this.armWhenReady = _.get(this.config, 'armWhenReady');
   this.removeObsoleteZones = _.get(this.config, 'removeObsoleteZones');
   this.resetAll = _.get(this.config, 'resetAll');
 
   // Timers.
   this.syncInterval = 3; // 3 seconds.
   this.syncIntervalDelay = 600; // 10 minutes.
-  this.setDeviceTimeout = 6; // 6 seconds.
+  this.setDeviceTimeout = 8; // 8 seconds (overridden by "armDisarmTimeout", HomeKit stops waiting after 10 seconds).
+  this.setDeviceInterval = 1; // 1 second.
 
   // Tested builds.
   this.testedBuilds = ['23.0.0-99', '24.0.0-117'];
@@ -72,23 +76,45 @@ function ADTPulsePlatform(log, config, api) {
     this.logLevel = 30;
   }
 
+  // Check if additional accounts are configured incorrectly.
+  if (
+    !_.isArray(this.accounts)
+    || !_.every(this.accounts, (account) => _.isString(_.get(account, 'username')) && _.isString(_.get(account, 'password')))
+  ) {
+    if (this.accounts !== undefined) {
+      this.logMessage('"accounts" setting is incorrectly defined. Defaulting to [].', 20);
+    }
+    this.accounts = [];
+  }
+
   // Check for credentials.
-  if (!this.username || !this.password) {
+  if ((!this.username || !this.password) && this.accounts.length === 0) {
     this.logMessage('Missing required username or password in configuration.', 10);
     return;
   }
 
-  // Check if override sensors is configured incorrectly.
+  // Check if zone services are configured incorrectly.
   if (
-    !_.isArray(this.overrideSensors)
-    || !_.every(this.overrideSensors, (sensor) => _.isString(_.get(sensor, 'name')) && _.isString(_.get(sensor, 'type')))
+    !_.isPlainObject(this.zoneServices)
+    || !_.every(this.zoneServices, (service, type) => _.has(this.getZoneTypes(), type) && _.has(this.getZoneServices(), service))
   ) {
-    if (this.overrideSensors !== undefined) {
-      this.logMessage('"overrideSensors" setting is incorrectly defined. Defaulting to [].', 20);
+    if (this.zoneServices !== undefined) {
+      this.logMessage('"zoneServices" setting is incorrectly defined. Defaulting to {}.', 20);
     }
-    this.overrideSensors = [];
+    this.zoneServices = {};
   }
 
+  // Check if force arm policy is configured.
+  if (!['always', 'never', 'allowlist'].includes(this.forceArm)) {
+    if (this.forceArm !== undefined) {
+      this.logMessage('"forceArm" setting should be "always", "never", or "allowlist". Defaulting to "always".', 20);
+    }
+    this.forceArm = 'always';
+  }
+
+  // Check if zone settings are configured incorrectly (additional accounts may set their own).
+  this.zoneSettings = this.getZoneSettings(this.config, '');
+
   // Setup country configuration.
   if (!['us', 'ca'].includes(this.country)) {
     if (this.country !== undefined) {
@@ -97,6 +123,23 @@ function ADTPulsePlatform(log, config, api) {
     this.country = 'us';
   }
 
+  // Check if portal base URL is configured.
+  if (this.baseUrl !== undefined && (!_.isString(this.baseUrl) || !/^https?:\/\/[^/]+/.test(this.baseUrl))) {
+    this.logMessage('"baseUrl" setting should be a URL starting with "http://" or "https://". Defaulting to the ADT Pulse portal for your country.', 20);
+    this.baseUrl = undefined;
+  }
+
+  // Check if site selection is configured.
+  if (this.siteId !== undefined && !_.isString(this.siteId)) {
+    this.logMessage('"siteId" setting should be a string. Ignoring site selection by ID.', 20);
+    this.siteId = undefined;
+  }
+
+  if (this.siteName !== undefined && !_.isString(this.siteName)) {
+    this.logMessage('"siteName" setting should be a string. Ignoring site selection by name.', 20);
+    this.siteName = undefined;
+  }
+
   // Check if log activity is configured.
   if (typeof this.logActivity !== 'boolean') {
     if (this.logActivity !== undefined) {
@@ -105,6 +148,39 @@ function ADTPulsePlatform(log, config, api) {
     this.logActivity = true;
   }
 
+  // Check if alarm cause sensors are configured.
+  if (typeof this.alarmSensors !== 'boolean') {
+    if (this.alarmSensors !== undefined) {
+      this.logMessage('"alarmSensors" setting should be true or false. Defaulting to false.', 20);
+    }
+    this.alarmSensors = false;
+  }
+
+  // Check if arm/disarm timeout is configured.
+  if (this.armDisarmTimeout !== undefined) {
+    if (_.isInteger(this.armDisarmTimeout) && this.armDisarmTimeout >= 5 && this.armDisarmTimeout <= 9) {
+      this.setDeviceTimeout = this.armDisarmTimeout;
+    } else {
+      this.logMessage(`"armDisarmTimeout" setting should be a number between 5 and 9. Defaulting to ${this.setDeviceTimeout}.`, 20);
+    }
+  }
+
+  // Check if arm when ready is configured.
+  if (!_.isInteger(this.armWhenReady) || this.armWhenReady < 0 || this.armWhenReady > 300) {
+    if (this.armWhenReady !== undefined) {
+      this.logMessage('"armWhenReady" setting should be a number between 0 and 300. Defaulting to 0 (disabled).', 20);
+    }
+    this.armWhenReady = 0;
+  }
+
+  // Check if entry delay sensor is configured.
+  if (typeof this.entryDelaySensor !== 'boolean') {
+    if (this.entryDelaySensor !== undefined) {
+      this.logMessage('"entryDelaySensor" setting should be true or false. Defaulting to false.', 20);
+    }
+    this.entryDelaySensor = false;
+  }
+
   // Check if obsolete zone removal is configured.
   if (typeof this.removeObsoleteZones !== 'boolean') {
     if (this.removeObsoleteZones !== undefined) {
@@ -121,14 +197,38 @@ function ADTPulsePlatform(log, config, api) {
     this.resetAll = false;
   }
 
-  // Initialize main script.
-  this.pulse = new Pulse({
-    username: this.username,
-    password: this.password,
-    fingerprint: this.fingerprint,
-    overrideSensors: this.overrideSensors,
-    country: this.country,
-    debug: (this.logLevel >= 40),
+  // Initialize main script for the main account (accessory IDs are not namespaced).
+  if (this.username && this.password) {
+    this.sites.push(this.createSite({
+      name: _.get(this.config, 'name', 'ADT Pulse'),
+      username: this.username,
+      password: this.password,
+      fingerprint: this.fingerprint,
+      country: this.country,
+      siteId: this.siteId,
+      siteName: this.siteName,
+      zoneSettings: this.zoneSettings,
+    }, false));
+  }
+
+  // Initialize main script for additional accounts (accessory IDs are namespaced by site ID).
+  _.forEach(this.accounts, (account, index) => {
+    const accountCountry = _.get(account, 'country');
+
+    if (accountCountry !== undefined && !['us', 'ca'].includes(accountCountry)) {
+      this.logMessage(`"accounts[${index}].country" setting should be "us" or "ca". Defaulting to "us".`, 20);
+    }
+
+    this.sites.push(this.createSite({
+      name: _.get(account, 'name', `Account ${index + 1}`),
+      username: _.get(account, 'username'),
+      password: _.get(account, 'password'),
+      fingerprint: _.get(account, 'fingerprint'),
+      country: (['us', 'ca'].includes(accountCountry)) ? accountCountry : 'us',
+      siteId: _.get(account, 'siteId'),
+      siteName: _.get(account, 'siteName'),
+      zoneSettings: this.getZoneSettings(account, `accounts[${index}].`, this.zoneSettings),
+    }, true));
   });
 
   if (api) {
@@ -151,12 +251,322 @@ function ADTPulsePlatform(log, config, api) {
           this.removeAccessory(accessory);
         });
       } else {
-        this.portalSync();
+        _.forEach(this.sites, (site, index) => {
+          this.restoreSession(index);
+          this.portalSync(index);
+        });
       }
     });
   }
 }
 
+/**
+ * Create site.
+ *
+ * Each site owns its ADT Pulse session, the latest device and zone statuses, and its own portal sync loop.
+ *
+ * @param {object}  account              - The account configuration.
+ * @param {string}  account.name         - The account name as displayed in the logs.
+ * @param {string}  account.username     - Email address used for ADT Pulse login.
+ * @param {string}  account.password     - Password used for ADT Pulse login.
+ * @param {string}  account.fingerprint  - MFA fingerprint from browser registered with ADT Pulse.
+ * @param {string}  account.country      - Can be "us" or "ca".
+ * @param {string}  account.siteId       - The site ID to select (for accounts with multiple locations).
+ * @param {string}  account.siteName     - The site name to select (for accounts with multiple locations).
+ * @param {object}  account.zoneSettings - The zone settings (from "getZoneSettings").
+ * @param {boolean} namespaced           - Namespace accessory IDs with the site ID.
+ *
+ * @returns {object}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.createSite = function createSite(account, namespaced) {
+  return {
+    name: account.name,
+    pulse: new Pulse({
+      username: account.username,
+      password: account.password,
+      fingerprint: account.fingerprint,
+      overrideSensors: account.zoneSettings.overrideSensors,
+      sensorRules: account.zoneSettings.sensorRules,
+      forceArm: this.forceArm,
+      forceArmZones: account.zoneSettings.forceArmZones,
+      country: account.country,
+      baseUrl: this.baseUrl,
+      siteId: account.siteId,
+      siteName: account.siteName,
+      debug: (this.logLevel >= 40),
+    }),
+
+    // Namespaced sites are only known after the first login.
+    namespace: (namespaced) ? undefined : '',
+
+    // Sensor overrides, sensor rules, force arm zones, and bypass switches for this account.
+    zoneSettings: account.zoneSettings,
+
+    // Where the security panel and sensors statuses are held.
+    deviceStatus: {},
+    zoneStatus: {},
+
+    // Last summary with a known arm state (reused while the gateway is offline).
+    lastKnownSummary: undefined,
+
+    // Zones that reported low battery (cleared once the zone reports "devStatOK" again).
+    lowBatteryZones: [],
+
+    // Zones bypassed from HomeKit (cleared once the security panel is disarmed).
+    bypassedZones: [],
+
+    // Bypass requests run one at a time, and finish before a panel command is sent.
+    bypassQueue: Promise.resolve(),
+
+    // Keeps track of failed times.
+    failedLoginTimes: 0,
+    stalledSyncTimes: 0,
+
+    // Keeps track of device updates.
+    lastSyncCode: '1-0-0',
+    portalSyncSession: {},
+    isSyncing: false,
+
+    // Panel commands run one at a time (only the latest waiting command is kept).
+    activeCommand: undefined,
+    isCommandHeld: false,
+    isCommandRunning: false,
+    pendingCommand: undefined,
+
+    // Target state reported to HomeKit while a request is queued, held, or running.
+    requestedState: undefined,
+
+    // Session data.
+    sessionVersion: '',
+    sessionKey: crypto
+      .createHash('sha256')
+      .update([account.username, account.country, account.siteId, account.siteName].join('|'))
+      .digest('hex')
+      .substr(0, 16),
+    lastSavedSession: '',
+  };
+};
+
+/**
+ * Get zone settings.
+ *
+ * Validates "overrideSensors", "sensorRules", "forceArmZones", and "bypassSwitches". Additional accounts that
+ * leave a setting out (or empty) use the platform setting instead.
+ *
+ * @param {object} config   - The platform or account configuration.
+ * @param {string} prefix   - The setting prefix used in the logs (e.g. "accounts[0].").
+ * @param {object} defaults - The platform zone settings (only for additional accounts).
+ *
+ * @returns {object}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getZoneSettings = function getZoneSettings(config, prefix, defaults) {
+  const zoneSettings = {
+    overrideSensors: _.get(config, 'overrideSensors'),
+    sensorRules: _.get(config, 'sensorRules'),
+    forceArmZones: _.get(config, 'forceArmZones'),
+    bypassSwitches: _.get(config, 'bypassSwitches'),
+  };
+
+  // Use the platform settings the account leaves out (or leaves empty).
+  if (defaults !== undefined) {
+    _.forEach(zoneSettings, (value, key) => {
+      if (value === undefined || (_.isArray(value) && value.length === 0)) {
+        zoneSettings[key] = defaults[key];
+      }
+    });
+  }
+
+  // Check if override sensors is configured incorrectly.
+  if (
+    !_.isArray(zoneSettings.overrideSensors)
+    || !_.every(zoneSettings.overrideSensors, (sensor) => (
+      (/^sensor-[0-9]+$/.test(_.get(sensor, 'id')) || _.isString(_.get(sensor, 'name')))
+      && _.every(['name', 'displayName'], (key) => _.get(sensor, key) === undefined || _.isString(_.get(sensor, key)))
+      && (_.get(sensor, 'type') === undefined || this.getSensorTypes().includes(_.get(sensor, 'type')))
+      && (_.get(sensor, 'service') === undefined || _.has(this.getZoneServices(), _.get(sensor, 'service')))
+      && (_.get(sensor, 'hidden') === undefined || _.isBoolean(_.get(sensor, 'hidden')))
+    ))
+  ) {
+    if (zoneSettings.overrideSensors !== undefined) {
+      this.logMessage(`"${prefix}overrideSensors" setting is incorrectly defined. Defaulting to [].`, 20);
+    }
+    zoneSettings.overrideSensors = [];
+  }
+
+  // Check if sensor rules are configured incorrectly (invalid rules never match, so rule numbers stay the same).
+  if (!_.isArray(zoneSettings.sensorRules)) {
+    if (zoneSettings.sensorRules !== undefined) {
+      this.logMessage(`"${prefix}sensorRules" setting is incorrectly defined. Defaulting to [].`, 20);
+    }
+    zoneSettings.sensorRules = [];
+  }
+
+  if (zoneSettings.sensorRules !== _.get(defaults, 'sensorRules')) {
+    zoneSettings.sensorRules = _.map(zoneSettings.sensorRules, (rule, index) => {
+      const error = this.validateSensorRule(rule);
+
+      if (error) {
+        this.logMessage(`"${prefix}sensorRules" rule #${index + 1} is skipped. ${error}`, 20);
+
+        return null;
+      }
+
+      return rule;
+    });
+  }
+
+  // Check if force arm zones are configured incorrectly.
+  if (!_.isArray(zoneSettings.forceArmZones) || !_.every(zoneSettings.forceArmZones, _.isString)) {
+    if (zoneSettings.forceArmZones !== undefined) {
+      this.logMessage(`"${prefix}forceArmZones" setting should be a list of zone names or IDs. Defaulting to [].`, 20);
+    }
+    zoneSettings.forceArmZones = [];
+  }
+
+  if (this.forceArm === 'allowlist' && zoneSettings.forceArmZones.length === 0 && zoneSettings.forceArmZones !== _.get(defaults, 'forceArmZones')) {
+    this.logMessage(`"forceArm" is set to "allowlist", but "${prefix}forceArmZones" is empty. Arming with open zones will fail.`, 20);
+  }
+
+  // Check if bypass switches are configured incorrectly.
+  if (!_.isArray(zoneSettings.bypassSwitches) || !_.every(zoneSettings.bypassSwitches, _.isString)) {
+    if (zoneSettings.bypassSwitches !== undefined) {
+      this.logMessage(`"${prefix}bypassSwitches" setting should be a list of zone names or IDs. Defaulting to [].`, 20);
+    }
+    zoneSettings.bypassSwitches = [];
+  }
+
+  return zoneSettings;
+};
+
+/**
+ * Validate sensor rule.
+ *
+ * @param {object} rule - The sensor rule ("name", "zoneFrom", "zoneTo", "deviceType", and "type").
+ *
+ * @returns {(undefined|string)} - The reason the rule is invalid, or undefined if valid.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.validateSensorRule = function validateSensorRule(rule) {
+  const name = _.get(rule, 'name');
+  const zoneFrom = _.get(rule, 'zoneFrom');
+  const zoneTo = _.get(rule, 'zoneTo');
+  const deviceType = _.get(rule, 'deviceType');
+  const allowedSensorTypes = this.getSensorTypes();
+
+  if (!_.isPlainObject(rule)) {
+    return 'Rules should be objects.';
+  }
+
+  if (!allowedSensorTypes.includes(_.get(rule, 'type'))) {
+    return `"type" should be one of ${allowedSensorTypes.join(', ')}.`;
+  }
+
+  if (!name && zoneFrom === undefined && zoneTo === undefined && !deviceType) {
+    return 'Set at least one of "name", "zoneFrom", "zoneTo", or "deviceType".';
+  }
+
+  if (name !== undefined && !_.isString(name)) {
+    return '"name" should be a string.';
+  }
+
+  if (name !== undefined) {
+    try {
+      RegExp(name);
+    } catch (error) {
+      return `"name" is not a valid regular expression (${error.message}).`;
+    }
+  }
+
+  if ((zoneFrom !== undefined && !_.isInteger(zoneFrom)) || (zoneTo !== undefined && !_.isInteger(zoneTo))) {
+    return '"zoneFrom" and "zoneTo" should be zone numbers.';
+  }
+
+  if (deviceType !== undefined && !_.isString(deviceType)) {
+    return '"deviceType" should be a string.';
+  }
+
+  return undefined;
+};
+
+/**
+ * Namespace accessory ID.
+ *
+ * Prefixes the accessory ID with the site namespace, so panels and zones from different sites never collide.
+ *
+ * @param {object} site - The site.
+ * @param {string} id   - The accessory identification code from ADT Pulse.
+ *
+ * @returns {(undefined|string)}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.namespaceId = function namespaceId(site, id) {
+  const namespace = _.get(site, 'namespace');
+
+  if (namespace === undefined) {
+    return undefined;
+  }
+
+  return (namespace !== '') ? `${namespace}-${id}` : id;
+};
+
+/**
+ * Get zone ID.
+ *
+ * Removes the site namespace from the accessory ID (e.g. "160301z123456-sensor-3" becomes "sensor-3").
+ *
+ * @param {string} id - The accessory unique identification code.
+ *
+ * @returns {string}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getZoneId = function getZoneId(id) {
+  return id.replace(/^.+-(sensor-[0-9]+)$/, '$1');
+};
+
+/**
+ * Get accessory site.
+ *
+ * Finds the site that owns the accessory. Cached accessories are restored before the first login, so they are
+ * matched by account instead of by namespace.
+ *
+ * @param {object} accessory - The accessory.
+ *
+ * @returns {(undefined|object)}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getAccessorySite = function getAccessorySite(accessory) {
+  const account = _.get(accessory, 'context.account');
+
+  if (account !== undefined) {
+    return _.find(this.sites, ['sessionKey', account]);
+  }
+
+  return _.find(this.sites, ['namespace', _.get(accessory, 'context.namespace', '')]);
+};
+
+/**
+ * Get site.
+ *
+ * Finds the site that owns the accessory unique identification code.
+ *
+ * @param {string} id - The accessory unique identification code.
+ *
+ * @returns {(undefined|object)}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getSite = function getSite(id) {
+  return _.find(this.sites, (site) => this.namespaceId(site, 'system-1') === id || _.some(site.zoneStatus, ['id', id]));
+};
+
 /**
  * Restore cached accessories.
  *
@@ -192,57 +602,50 @@ ADTPulsePlatform.prototype.configureAccessory = function configureAccessory(acce
         .getService(Service.SecuritySystem)
         .getCharacteristic(Characteristic.SecuritySystemCurrentState)
         .on('get', (callback) => this.getDeviceAccessory('current', id, name, callback));
-      break;
-    case 'doorWindow':
-      accessory
-        .getService(Service.ContactSensor)
-        .getCharacteristic(Characteristic.ContactSensorState)
-        .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
-      break;
-    case 'glass':
-      accessory
-        .getService(Service.OccupancySensor)
-        .getCharacteristic(Characteristic.OccupancyDetected)
-        .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
-      break;
-    case 'motion':
-      accessory
-        .getService(Service.MotionSensor)
-        .getCharacteristic(Characteristic.MotionDetected)
-        .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
-      break;
-    case 'co':
+
       accessory
-        .getService(Service.CarbonMonoxideSensor)
-        .getCharacteristic(Characteristic.CarbonMonoxideDetected)
-        .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
-      break;
-    case 'fire':
+        .getService(Service.SecuritySystem)
+        .getCharacteristic(Characteristic.StatusFault)
+        .on('get', (callback) => this.getDeviceAccessory('fault', id, name, callback));
+
       accessory
-        .getService(Service.SmokeSensor)
-        .getCharacteristic(Characteristic.SmokeDetected)
-        .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
+        .getService(Service.SecuritySystem)
+        .getCharacteristic(Characteristic.SecuritySystemAlarmType)
+        .on('get', (callback) => this.getDeviceAccessory('alarmType', id, name, callback));
+
+      this.configureAlarmSensors(accessory, id, name);
+      this.configureEntryDelaySensor(accessory, id, name);
       break;
     default:
-      this.logMessage(`Failed to configure invalid or unsupported accessory... ${type}`, 10);
+      if (_.has(this.getZoneTypes(), type)) {
+        this.configureZoneService(accessory, type, id, name, this.getAccessorySite(accessory));
+      } else {
+        this.logMessage(`Failed to configure invalid or unsupported accessory... ${type}`, 10);
+      }
       break;
   }
 
+  if (type !== 'system') {
+    this.configureZoneConditions(accessory, type, id, name);
+    this.configureZoneBypass(accessory, id, name, this.getAccessorySite(accessory));
+  }
+
   that.accessories.push(accessory);
 };
 
 /**
  * Add accessory.
  *
- * @param {string} type  - Can be "system", "doorWindow", "glass", "motion", "co", or "fire".
- * @param {string} id    - The accessory unique identification code.
- * @param {string} name  - The name of the accessory.
- * @param {string} make  - The manufacturer of the accessory.
- * @param {string} model - The model of the accessory.
+ * @param {string} type      - Can be "system", "doorWindow", "glass", "motion", "co", "fire", "water", "temperature", "shock", or "panic".
+ * @param {string} id        - The accessory unique identification code.
+ * @param {string} name      - The name of the accessory.
+ * @param {string} make      - The manufacturer of the accessory.
+ * @param {string} model     - The model of the accessory.
+ * @param {object} site      - The site that owns the accessory.
  *
  * @since 1.0.0
  */
-ADTPulsePlatform.prototype.addAccessory = function addAccessory(type, id, name, make, model) {
+ADTPulsePlatform.prototype.addAccessory = function addAccessory(type, id, name, make, model, site) {
   const that = this;
 
   const uuid = UUIDGen.generate(id);
@@ -269,46 +672,40 @@ ADTPulsePlatform.prototype.addAccessory = function addAccessory(type, id, name,
           .getService(Service.SecuritySystem)
           .getCharacteristic(Characteristic.SecuritySystemCurrentState)
           .on('get', (callback) => this.getDeviceAccessory('current', id, name, callback));
-        break;
-      case 'doorWindow':
-        accessory
-          .addService(Service.ContactSensor, name)
-          .getCharacteristic(Characteristic.ContactSensorState)
-          .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
-        break;
-      case 'glass':
-        accessory
-          .addService(Service.OccupancySensor, name)
-          .getCharacteristic(Characteristic.OccupancyDetected)
-          .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
-        break;
-      case 'motion':
-        accessory
-          .addService(Service.MotionSensor, name)
-          .getCharacteristic(Characteristic.MotionDetected)
-          .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
-        break;
-      case 'co':
+
         accessory
-          .addService(Service.CarbonMonoxideSensor, name)
-          .getCharacteristic(Characteristic.CarbonMonoxideDetected)
-          .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
-        break;
-      case 'fire':
+          .getService(Service.SecuritySystem)
+          .getCharacteristic(Characteristic.StatusFault)
+          .on('get', (callback) => this.getDeviceAccessory('fault', id, name, callback));
+
         accessory
-          .addService(Service.SmokeSensor, name)
-          .getCharacteristic(Characteristic.SmokeDetected)
-          .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
+          .getService(Service.SecuritySystem)
+          .getCharacteristic(Characteristic.SecuritySystemAlarmType)
+          .on('get', (callback) => this.getDeviceAccessory('alarmType', id, name, callback));
+
+        this.configureAlarmSensors(accessory, id, name);
+        this.configureEntryDelaySensor(accessory, id, name);
         break;
       default:
-        validAccessory = false;
+        if (_.has(this.getZoneTypes(), type)) {
+          this.configureZoneService(accessory, type, id, name, site);
+        } else {
+          validAccessory = false;
+        }
         break;
     }
 
     if (validAccessory) {
+      if (type !== 'system') {
+        this.configureZoneConditions(accessory, type, id, name);
+        this.configureZoneBypass(accessory, id, name, site);
+      }
+
       // Set accessory context.
       _.set(accessory, 'context.id', id);
       _.set(accessory, 'context.type', type);
+      _.set(accessory, 'context.namespace', site.namespace);
+      _.set(accessory, 'context.account', site.sessionKey);
 
       // Set accessory information.
       accessory
@@ -346,10 +743,11 @@ ADTPulsePlatform.prototype.addAccessory = function addAccessory(type, id, name,
  *
  * @param {string} type      - Could either be "device" or "zone".
  * @param {object} accessory - The accessory.
+ * @param {object} site      - The site that owns the accessory.
  *
  * @since 1.0.0
  */
-ADTPulsePlatform.prototype.prepareAddAccessory = function prepareAddAccessory(type, accessory) {
+ADTPulsePlatform.prototype.prepareAddAccessory = function prepareAddAccessory(type, accessory, site) {
   const that = this;
 
   if (type === 'device') {
@@ -360,7 +758,7 @@ ADTPulsePlatform.prototype.prepareAddAccessory = function prepareAddAccessory(ty
     const deviceKind = 'system';
     const deviceModel = deviceType.substr(deviceType.indexOf('-') + 2);
 
-    const deviceId = 'system-1';
+    const deviceId = this.namespaceId(site, 'system-1');
     const deviceUUID = UUIDGen.generate(deviceId);
     const deviceLoaded = _.find(that.accessories, ['UUID', deviceUUID]);
 
@@ -374,11 +772,13 @@ ADTPulsePlatform.prototype.prepareAddAccessory = function prepareAddAccessory(ty
         deviceName,
         deviceMake,
         deviceModel,
+        site,
       );
     }
   } else if (type === 'zone') {
     const zoneId = _.get(accessory, 'id');
-    const zoneName = _.get(accessory, 'name', '').replace(/[()]/gi, '');
+    const zoneOverride = this.getZoneOverride(zoneId, _.get(accessory, 'name', ''), site);
+    const zoneName = _.get(zoneOverride, 'displayName', _.get(accessory, 'name', '')).replace(/[()]/gi, '');
     const zoneTags = _.get(accessory, 'tags');
 
     const zoneMake = 'ADT';
@@ -387,39 +787,21 @@ ADTPulsePlatform.prototype.prepareAddAccessory = function prepareAddAccessory(ty
     const zoneUUID = UUIDGen.generate(zoneId);
     const zoneLoaded = _.find(that.accessories, ['UUID', zoneUUID]);
 
-    let zoneModel;
-
-    switch (zoneKind) {
-      case 'doorWindow':
-        zoneModel = 'Door/Window Sensor';
-        break;
-      case 'glass':
-        zoneModel = 'Glass Break Detector';
-        break;
-      case 'motion':
-        zoneModel = 'Motion Sensor';
-        break;
-      case 'co':
-        zoneModel = 'Carbon Monoxide Detector';
-        break;
-      case 'fire':
-        zoneModel = 'Fire (Smoke/Heat) Detector';
-        break;
-      default:
-        zoneModel = 'Unknown';
-        break;
-    }
+    const zoneModel = _.get(this.getZoneTypes(), [zoneKind, 'model'], 'Unknown');
 
     this.logMessage(`Preparing to add zone (${zoneId}) accessory...`, 30);
     this.logMessage(accessory, 40);
 
     if (zoneLoaded === undefined) {
+      this.logMessage(`${zoneName} (${zoneId}) detected as "${zoneKind}" by ${_.get(accessory, 'detectedBy', 'default')}.`, 30);
+
       this.addAccessory(
         zoneKind,
         zoneId,
         zoneName,
         zoneMake,
         zoneModel,
+        site,
       );
     }
   } else {
@@ -429,124 +811,1116 @@ ADTPulsePlatform.prototype.prepareAddAccessory = function prepareAddAccessory(ty
 };
 
 /**
- * Remove accessory.
+ * Remove accessory.
+ *
+ * @param {object} accessory - The accessory.
+ *
+ * @since 1.0.0
+ */
+ADTPulsePlatform.prototype.removeAccessory = function removeAccessory(accessory) {
+  const that = this;
+
+  if (_.get(accessory, 'UUID') === undefined) {
+    this.logMessage(`Failed to remove invalid accessory... ${accessory}`, 10);
+    return;
+  }
+
+  const id = _.get(accessory, 'context.id');
+  const name = _.get(accessory, 'displayName');
+
+  this.logMessage(`Removing accessory... ${name} (${id})`, 30);
+  this.logMessage(accessory, 40);
+
+  // Remove from accessory array.
+  _.remove(that.accessories, (thatAccessory) => thatAccessory.UUID === accessory.UUID);
+
+  that.api.unregisterPlatformAccessories(
+    'homebridge-adt-pulse',
+    'ADTPulse',
+    [accessory],
+  );
+};
+
+/**
+ * Rename accessory.
+ *
+ * Renames the accessory and its sensor service in place, so it keeps its room and automations in HomeKit.
+ *
+ * @param {object} accessory   - The accessory.
+ * @param {string} displayName - The new name of the accessory.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.renameAccessory = function renameAccessory(accessory, displayName) {
+  const id = _.get(accessory, 'context.id');
+  const zoneService = this.getAccessoryZoneService(accessory);
+  const service = (zoneService !== undefined) ? accessory.getService(zoneService.service) : undefined;
+
+  this.logMessage(`Renaming accessory... ${accessory.displayName} (${id}) to ${displayName}`, 30);
+
+  _.set(accessory, 'displayName', displayName);
+
+  if (service !== undefined) {
+    service.setCharacteristic(Characteristic.Name, displayName);
+  }
+
+  this.api.updatePlatformAccessories([accessory]);
+};
+
+/**
+ * Get device accessory.
+ *
+ * @param {string}   type     - Can be "target", "current", "fault", or "alarmType".
+ * @param {string}   id       - The accessory unique identification code.
+ * @param {string}   name     - The name of the accessory.
+ * @param {function} callback - Homebridge callback function.
+ *
+ * @since 1.0.0
+ */
+ADTPulsePlatform.prototype.getDeviceAccessory = function getDeviceAccessory(type, id, name, callback) {
+  const status = this.getDeviceStatus(type, id, true);
+
+  let error = false;
+
+  if (status === undefined) {
+    error = true;
+  }
+
+  this.logMessage(`Getting ${name} (${id}) ${type} status... ${status}`, 50);
+
+  callback(error, status);
+};
+
+/**
+ * Set device accessory.
+ *
+ * @param {string}   id       - The accessory unique identification code.
+ * @param {string}   name     - The name of the accessory.
+ * @param {number}   state    - The state that accessory is being set to.
+ * @param {function} callback - Homebridge callback function.
+ *
+ * @since 1.0.0
+ */
+ADTPulsePlatform.prototype.setDeviceAccessory = function setDeviceAccessory(id, name, state, callback) {
+  // Fail fast, commands cannot reach the security panel.
+  if (this.isGatewayOffline(id)) {
+    this.logMessage(`Unable to set ${name} (${id}) status. The ADT Pulse Gateway is offline.`, 10);
+
+    callback(this.createCommunicationError('The ADT Pulse Gateway is offline.'));
+    return;
+  }
+
+  let replied = false;
+
+  const reply = (error) => {
+    if (!replied) {
+      replied = true;
+
+      callback(error);
+    }
+  };
+
+  // Call back once the security panel reflects the requested state (or a newer request replaced it). Held arm
+  // requests are answered right away, HomeKit cannot wait for doors and windows to close.
+  this.queueDeviceCommand(id, name, state, () => reply(null))
+    .then(() => {
+      reply(null);
+    })
+    .catch((error) => {
+      this.logMessage(`Failed to set ${name} (${id}) status. Reverting target state... ${_.get(error, 'message', 'Set device status failed.')}`, 10);
+
+      reply(this.createCommunicationError(_.get(error, 'message', 'Set device status failed.')));
+    })
+    .then(() => {
+      // Push the confirmed (or reverted) states to HomeKit.
+      this.devicePolling('system', id);
+    });
+};
+
+/**
+ * Queue device command.
+ *
+ * Commands for the same site run one at a time. If a command is already waiting, it is replaced by the
+ * newer one (latest target wins) and resolves without being sent. The deadline starts when the command is
+ * queued, so HomeKit gets an answer in time even if the command had to wait.
+ *
+ * @param {string}   id     - The accessory unique identification code.
+ * @param {string}   name   - The name of the accessory.
+ * @param {number}   state  - The state that accessory is being set to.
+ * @param {function} onHold - Called when the command is held until doors and windows close (optional).
+ *
+ * @returns {Promise<void>}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.queueDeviceCommand = function queueDeviceCommand(id, name, state, onHold) {
+  const site = this.getSite(id);
+
+  return new Promise((resolve, reject) => {
+    const supersededCommand = site.pendingCommand;
+
+    if (supersededCommand !== undefined) {
+      const oldArmState = this.formatSetDeviceStatus(supersededCommand.state, 'arm');
+      const newArmState = this.formatSetDeviceStatus(state, 'arm');
+
+      this.logMessage(`${name} (${id}) request to set ${oldArmState} was replaced by ${newArmState}.`, 30);
+
+      supersededCommand.resolve();
+    } else if (site.activeCommand !== undefined) {
+      this.logMessage(`${name} (${id}) is busy. Waiting for the previous request to finish...`, 40);
+    }
+
+    _.set(site, 'pendingCommand', {
+      id,
+      name,
+      state,
+      deadline: Date.now() + (this.setDeviceTimeout * 1000),
+      held: false,
+      onHold,
+      resolve,
+      reject,
+    });
+    _.set(site, 'requestedState', state);
+
+    this.runDeviceCommands(site);
+  });
+};
+
+/**
+ * Run device commands.
+ *
+ * @param {object} site - The site.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.runDeviceCommands = function runDeviceCommands(site) {
+  const command = site.pendingCommand;
+
+  // Waiting for zone bypasses is asynchronous too, so only one command may be taken at a time.
+  if (site.activeCommand !== undefined || command === undefined) {
+    return;
+  }
+
+  _.set(site, 'activeCommand', command);
+  _.set(site, 'pendingCommand', undefined);
+
+  const arming = command.state !== Characteristic.SecuritySystemTargetState.DISARM;
+  const holding = arming && this.armWhenReady > 0;
+
+  // Held requests do not block device status updates (only sending and confirming does).
+  _.set(site, 'isCommandHeld', holding);
+
+  (holding ? this.waitUntilReady(site, command) : Promise.resolve(true))
+    .then((ready) => {
+      _.set(site, 'isCommandHeld', false);
+
+      // A newer request replaced this one while waiting.
+      if (!ready) {
+        return undefined;
+      }
+
+      return this.waitForZoneBypasses(site).then(() => {
+        // Held commands were answered already, so their deadline starts once doors and windows are closed.
+        const deadline = (command.held) ? Date.now() + (this.setDeviceTimeout * 1000) : command.deadline;
+
+        if (Date.now() >= deadline) {
+          throw new Error(`${command.name} (${command.id}) waited too long for the previous request. The request was not sent.`);
+        }
+
+        _.set(site, 'isCommandRunning', true);
+
+        return this.setDeviceStatus(command.id, command.name, command.state)
+          .then(() => this.confirmDeviceStatus(command.id, command.name, command.state, deadline));
+      });
+    })
+    .then(() => ({ failed: false }), (error) => ({ failed: true, error }))
+    .then((result) => {
+      _.set(site, 'activeCommand', undefined);
+      _.set(site, 'isCommandHeld', false);
+      _.set(site, 'isCommandRunning', false);
+
+      // Report the actual target state again, unless a newer request is waiting.
+      if (site.pendingCommand === undefined) {
+        _.set(site, 'requestedState', undefined);
+      }
+
+      if (result.failed) {
+        command.reject(result.error);
+      } else {
+        command.resolve();
+      }
+
+      this.runDeviceCommands(site);
+    });
+};
+
+/**
+ * Wait until ready.
+ *
+ * Holds an arm request until every door/window zone reports closed (bypassed zones are ignored), for up to
+ * "armWhenReady" seconds. Resolves with false if a newer request replaced it while waiting.
+ *
+ * @param {object} site    - The site.
+ * @param {object} command - The queued command ("id", "name", and "state").
+ *
+ * @returns {Promise<boolean>}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.waitUntilReady = function waitUntilReady(site, command) {
+  const { id, name } = command;
+  const deadline = Date.now() + (this.armWhenReady * 1000);
+  const getOpenZones = () => _.filter(site.zoneStatus, (zone) => (
+    _.get(zone, 'tags') === 'sensor,doorWindow'
+    && _.get(zone, 'state') === 'devStatOpen'
+    && !site.bypassedZones.includes(_.get(zone, 'id'))
+  ));
+
+  return new Promise((resolve, reject) => {
+    let waiting = false;
+
+    const checkOpenZones = () => {
+      const openZones = getOpenZones();
+      const zoneList = _.map(openZones, (zone) => `${zone.name} (${zone.id})`).join(', ');
+
+      if (site.pendingCommand !== undefined) {
+        this.logMessage(`${name} (${id}) arm request was replaced by a newer request.`, 30);
+
+        resolve(false);
+      } else if (openZones.length === 0) {
+        if (waiting) {
+          this.logMessage(`All doors and windows are closed. Arming ${name} (${id})...`, 30);
+        }
+
+        resolve(true);
+      } else if (Date.now() >= deadline) {
+        this.logMessage(`${name} (${id}) was not armed. Doors or windows are still open: ${zoneList}.`, 10);
+
+        reject(new Error(`Doors or windows are still open: ${zoneList}.`));
+      } else {
+        if (!waiting) {
+          this.logMessage(`Waiting up to ${this.armWhenReady} seconds for ${zoneList} to close before arming ${name} (${id})...`, 30);
+
+          waiting = true;
+
+          _.set(command, 'held', true);
+
+          if (command.onHold !== undefined) {
+            command.onHold();
+          }
+        }
+
+        setTimeout(checkOpenZones, this.setDeviceInterval * 1000);
+      }
+    };
+
+    checkOpenZones();
+  });
+};
+
+/**
+ * Confirm device status.
+ *
+ * Polls the security panel until it reflects the requested state, or until the deadline has passed.
+ *
+ * @param {string} id       - The accessory unique identification code.
+ * @param {string} name     - The name of the accessory.
+ * @param {number} arm      - Defined status the device was changed to.
+ * @param {number} deadline - Timestamp (in milliseconds) to stop waiting at.
+ *
+ * @returns {Promise<void>}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.confirmDeviceStatus = function confirmDeviceStatus(id, name, arm, deadline) {
+  const site = this.getSite(id);
+
+  return new Promise((resolve, reject) => {
+    const checkDeviceStatus = () => {
+      site.pulse
+        .getDeviceStatus()
+        .then((device) => {
+          const deviceStatus = _.get(device, 'info');
+          const currentState = this.formatGetDeviceStatus('current', _.get(deviceStatus, 'summary', ''));
+          const targetState = this.formatGetDeviceStatus('target', _.get(deviceStatus, 'summary', ''));
+          const exitDelay = _.get(deviceStatus, 'delay') === 'exit';
+
+          this.resetZoneBypasses(site, deviceStatus);
+
+          // Set latest status into instance.
+          site.deviceStatus = deviceStatus;
+
+          if (currentState !== undefined) {
+            site.lastKnownSummary = _.get(deviceStatus, 'summary');
+          }
+
+          // The panel reports "disarmed" during the exit delay, so a disarm is only confirmed once the delay is over.
+          if (currentState === arm && targetState === arm && !exitDelay) {
+            this.logMessage(`${name} (${id}) status confirmed as "${_.get(deviceStatus, 'summary')}".`, 30);
+
+            resolve();
+          } else if (exitDelay && targetState === arm) {
+            this.logMessage(`${name} (${id}) accepted the request. Exit delay in progress...`, 30);
+
+            resolve();
+          } else if (Date.now() >= deadline) {
+            reject(new Error(`${name} (${id}) did not reach the requested state within ${this.setDeviceTimeout} seconds.`));
+          } else {
+            setTimeout(checkDeviceStatus, this.setDeviceInterval * 1000);
+          }
+        })
+        .catch((error) => {
+          this.catchErrors(error, site);
+
+          if (Date.now() >= deadline) {
+            reject(new Error(`${name} (${id}) status could not be confirmed within ${this.setDeviceTimeout} seconds.`));
+          } else {
+            setTimeout(checkDeviceStatus, this.setDeviceInterval * 1000);
+          }
+        });
+    };
+
+    checkDeviceStatus();
+  });
+};
+
+/**
+ * Get alarm cause accessory.
+ *
+ * @param {string}   cause    - Can be "burglary", "fire", "co", or "panic".
+ * @param {string}   id       - The accessory unique identification code.
+ * @param {string}   name     - The name of the accessory.
+ * @param {function} callback - Homebridge callback function.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getAlarmCauseAccessory = function getAlarmCauseAccessory(cause, id, name, callback) {
+  const device = _.get(this.getSite(id), 'deviceStatus');
+  const alarmCause = this.getAlarmCauses()[cause];
+
+  let error = false;
+  let status;
+
+  if (_.get(device, 'summary') === undefined) {
+    error = true;
+  } else {
+    status = (_.get(device, 'alarm') === cause) ? alarmCause.active : alarmCause.inactive;
+  }
+
+  this.logMessage(`Getting ${name} (${id}) ${cause} alarm status... ${status}`, 50);
+
+  callback(error, status);
+};
+
+/**
+ * Configure alarm sensors.
+ *
+ * Adds (or removes) one sensor per alarm cause on the security panel, based on the "alarmSensors" setting.
+ *
+ * @param {object} accessory - The accessory.
+ * @param {string} id        - The accessory unique identification code.
+ * @param {string} name      - The name of the accessory.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.configureAlarmSensors = function configureAlarmSensors(accessory, id, name) {
+  _.forEach(this.getAlarmCauses(), (alarmCause, cause) => {
+    const subtype = `alarm-${cause}`;
+
+    let service = accessory.getServiceById(alarmCause.service, subtype);
+
+    if (!this.alarmSensors) {
+      if (service !== undefined) {
+        this.logMessage(`Removing ${alarmCause.label} sensor from ${name} (${id})...`, 30);
+
+        accessory.removeService(service);
+      }
+
+      return;
+    }
+
+    if (service === undefined) {
+      this.logMessage(`Adding ${alarmCause.label} sensor to ${name} (${id})...`, 30);
+
+      service = accessory.addService(alarmCause.service, `${name} ${alarmCause.label}`, subtype);
+    }
+
+    service
+      .getCharacteristic(alarmCause.characteristic)
+      .on('get', (callback) => this.getAlarmCauseAccessory(cause, id, name, callback));
+  });
+};
+
+/**
+ * Get entry delay accessory.
+ *
+ * @param {string}   id       - The accessory unique identification code.
+ * @param {string}   name     - The name of the accessory.
+ * @param {function} callback - Homebridge callback function.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getEntryDelayAccessory = function getEntryDelayAccessory(id, name, callback) {
+  const device = _.get(this.getSite(id), 'deviceStatus');
+
+  let error = false;
+  let status;
+
+  if (_.get(device, 'summary') === undefined) {
+    error = true;
+  } else {
+    status = _.get(device, 'delay') === 'entry';
+  }
+
+  this.logMessage(`Getting ${name} (${id}) entry delay status... ${status}`, 50);
+
+  callback(error, status);
+};
+
+/**
+ * Configure entry delay sensor.
+ *
+ * Adds (or removes) a motion sensor on the security panel that detects motion while the entry delay counts down,
+ * based on the "entryDelaySensor" setting.
+ *
+ * @param {object} accessory - The accessory.
+ * @param {string} id        - The accessory unique identification code.
+ * @param {string} name      - The name of the accessory.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.configureEntryDelaySensor = function configureEntryDelaySensor(accessory, id, name) {
+  let service = accessory.getServiceById(Service.MotionSensor, 'entry-delay');
+
+  if (!this.entryDelaySensor) {
+    if (service !== undefined) {
+      this.logMessage(`Removing Entry Delay sensor from ${name} (${id})...`, 30);
+
+      accessory.removeService(service);
+    }
+
+    return;
+  }
+
+  if (service === undefined) {
+    this.logMessage(`Adding Entry Delay sensor to ${name} (${id})...`, 30);
+
+    service = accessory.addService(Service.MotionSensor, `${name} Entry Delay`, 'entry-delay');
+  }
+
+  service
+    .getCharacteristic(Characteristic.MotionDetected)
+    .on('get', (callback) => this.getEntryDelayAccessory(id, name, callback));
+};
+
+/**
+ * Get alarm causes.
+ *
+ * @returns {object} - Alarm causes mapped to their sensor service, characteristic, and values.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getAlarmCauses = function getAlarmCauses() {
+  return {
+    burglary: {
+      label: 'Burglary Alarm',
+      service: Service.ContactSensor,
+      characteristic: Characteristic.ContactSensorState,
+      active: Characteristic.ContactSensorState.CONTACT_NOT_DETECTED,
+      inactive: Characteristic.ContactSensorState.CONTACT_DETECTED,
+    },
+    fire: {
+      label: 'Fire Alarm',
+      service: Service.SmokeSensor,
+      characteristic: Characteristic.SmokeDetected,
+      active: Characteristic.SmokeDetected.SMOKE_DETECTED,
+      inactive: Characteristic.SmokeDetected.SMOKE_NOT_DETECTED,
+    },
+    co: {
+      label: 'Carbon Monoxide Alarm',
+      service: Service.CarbonMonoxideSensor,
+      characteristic: Characteristic.CarbonMonoxideDetected,
+      active: Characteristic.CarbonMonoxideDetected.CO_LEVELS_ABNORMAL,
+      inactive: Characteristic.CarbonMonoxideDetected.CO_LEVELS_NORMAL,
+    },
+    panic: {
+      label: 'Panic Alarm',
+      service: Service.OccupancySensor,
+      characteristic: Characteristic.OccupancyDetected,
+      active: Characteristic.OccupancyDetected.OCCUPANCY_DETECTED,
+      inactive: Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED,
+    },
+  };
+};
+
+/**
+ * Get zone accessory.
+ *
+ * @param {string}   type     - Can be "doorWindow", "glass", "motion", "co", "fire", "water", "temperature", "shock", or "panic".
+ * @param {string}   id       - The accessory unique identification code.
+ * @param {string}   name     - The name of the accessory.
+ * @param {function} callback - Homebridge callback function.
+ *
+ * @since 1.0.0
+ */
+ADTPulsePlatform.prototype.getZoneAccessory = function getZoneAccessory(type, id, name, callback) {
+  const status = this.getZoneStatus(type, id, true);
+
+  let error = false;
+
+  if (status === undefined) {
+    error = true;
+  }
+
+  this.logMessage(`Getting ${name} (${id}) status... ${status}`, 50);
+
+  callback(error, status);
+};
+
+/**
+ * Get zone condition accessory.
+ *
+ * @param {string}   condition - Can be "lowBattery", "tampered", "fault", or "active".
+ * @param {string}   id        - The accessory unique identification code.
+ * @param {string}   name      - The name of the accessory.
+ * @param {function} callback  - Homebridge callback function.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getZoneConditionAccessory = function getZoneConditionAccessory(condition, id, name, callback) {
+  const status = this.getZoneCondition(condition, id);
+
+  let error = false;
+
+  if (status === undefined) {
+    error = true;
+  }
+
+  this.logMessage(`Getting ${name} (${id}) ${condition} condition... ${status}`, 50);
+
+  callback(error, status);
+};
+
+/**
+ * Configure zone conditions.
+ *
+ * Adds the zone condition characteristics (low battery, tampered, fault, and active) to the sensor service.
+ *
+ * @param {object} accessory - The accessory.
+ * @param {string} type      - Can be "doorWindow", "glass", "motion", "co", "fire", "water", "temperature", "shock", or "panic".
+ * @param {string} id        - The accessory unique identification code.
+ * @param {string} name      - The name of the accessory.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.configureZoneConditions = function configureZoneConditions(accessory, type, id, name) {
+  const zoneService = this.getAccessoryZoneService(accessory);
+  const service = (zoneService !== undefined) ? accessory.getService(zoneService.service) : undefined;
+
+  // Doors, windows, and garage doors do not support status characteristics.
+  if (service === undefined || zoneService.conditions === false) {
+    return;
+  }
+
+  _.forEach(this.getZoneConditions(), (characteristic, condition) => {
+    service
+      .getCharacteristic(characteristic)
+      .on('get', (callback) => this.getZoneConditionAccessory(condition, id, name, callback));
+  });
+};
+
+/**
+ * Get zone bypass accessory.
+ *
+ * The ADT Pulse portal does not report which zones are bypassed, so this only knows about bypasses made from
+ * HomeKit since Homebridge started (bypasses made from the keypad or the ADT Pulse app are not shown).
+ *
+ * @param {string}   id       - The accessory unique identification code.
+ * @param {string}   name     - The name of the accessory.
+ * @param {function} callback - Homebridge callback function.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getZoneBypassAccessory = function getZoneBypassAccessory(id, name, callback) {
+  const site = this.getSite(id);
+  const status = _.get(site, 'bypassedZones', []).includes(id);
+
+  this.logMessage(`Getting ${name} (${id}) bypass status... ${status}`, 50);
+
+  callback(null, status);
+};
+
+/**
+ * Set zone bypass accessory.
+ *
+ * @param {string}   id       - The accessory unique identification code.
+ * @param {string}   zoneId   - The zone identification code from ADT Pulse.
+ * @param {string}   name     - The name of the accessory.
+ * @param {boolean}  bypass   - Bypass (true) or unbypass (false) the zone.
+ * @param {function} callback - Homebridge callback function.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.setZoneBypassAccessory = function setZoneBypassAccessory(id, zoneId, name, bypass, callback) {
+  const site = this.getSite(id);
+
+  if (site === undefined || this.isGatewayOffline(id)) {
+    this.logMessage(`Unable to set ${name} (${id}) bypass. The ADT Pulse Gateway is offline.`, 10);
+
+    callback(this.createCommunicationError('The ADT Pulse Gateway is offline.'));
+    return;
+  }
+
+  // Bypassing while the security panel is being armed or disarmed may not take effect.
+  if (site.isCommandRunning) {
+    this.logMessage(`Unable to set ${name} (${id}) bypass. The security panel is being armed or disarmed.`, 20);
+
+    callback(this.createCommunicationError('The security panel is being armed or disarmed.'));
+    return;
+  }
+
+  const bypassQueue = site.bypassQueue
+    .then(() => {
+      this.logMessage(`${(bypass) ? 'Bypassing' : 'Unbypassing'} ${name} (${id})...`, 30);
+
+      return site.pulse.login();
+    })
+    .then(() => site.pulse.setZoneBypass([zoneId], bypass))
+    .then((response) => {
+      if (bypass) {
+        site.bypassedZones = _.union(site.bypassedZones, [id]);
+      } else {
+        site.bypassedZones = _.without(site.bypassedZones, id);
+      }
+
+      this.logMessage(response, 40);
+
+      callback(null);
+    })
+    .catch((error) => {
+      this.catchErrors(error, site);
+
+      callback(this.createCommunicationError(`Failed to set ${name} (${id}) bypass.`));
+    });
+
+  _.set(site, 'bypassQueue', bypassQueue);
+};
+
+/**
+ * Wait for zone bypasses.
+ *
+ * Resolves once every bypass request (including ones made while waiting) has finished.
+ *
+ * @param {object} site - The site.
+ *
+ * @returns {Promise<void>}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.waitForZoneBypasses = function waitForZoneBypasses(site) {
+  const { bypassQueue } = site;
+
+  return bypassQueue.then(() => {
+    if (site.bypassQueue !== bypassQueue) {
+      return this.waitForZoneBypasses(site);
+    }
+
+    return undefined;
+  });
+};
+
+/**
+ * Configure zone bypass.
+ *
+ * Adds (or removes) a switch that bypasses the zone, based on the "bypassSwitches" setting.
+ *
+ * @param {object} accessory - The accessory.
+ * @param {string} id        - The accessory unique identification code.
+ * @param {string} name      - The name of the accessory.
+ * @param {object} site      - The site that owns the accessory.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.configureZoneBypass = function configureZoneBypass(accessory, id, name, site) {
+  const zoneId = this.getZoneId(id);
+  const bypassSwitches = _.get(site, 'zoneSettings.bypassSwitches', []);
+  const enabled = _.some(bypassSwitches, (zone) => zone === zoneId || zone.toLowerCase() === name.toLowerCase());
+
+  let service = accessory.getServiceById(Service.Switch, 'bypass');
+
+  if (!enabled) {
+    if (service !== undefined) {
+      this.logMessage(`Removing bypass switch from ${name} (${id})...`, 30);
+
+      accessory.removeService(service);
+    }
+
+    return;
+  }
+
+  if (service === undefined) {
+    this.logMessage(`Adding bypass switch to ${name} (${id})...`, 30);
+
+    service = accessory.addService(Service.Switch, `${name} Bypass`, 'bypass');
+  }
+
+  service
+    .getCharacteristic(Characteristic.On)
+    .on('get', (callback) => this.getZoneBypassAccessory(id, name, callback))
+    .on('set', (bypass, callback) => this.setZoneBypassAccessory(id, zoneId, name, bypass, callback));
+};
+
+/**
+ * Reset zone bypasses.
+ *
+ * The security panel clears every bypass once it is disarmed, so the bypass switches turn off too.
+ *
+ * @param {object} site         - The site.
+ * @param {object} deviceStatus - The latest device status.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.resetZoneBypasses = function resetZoneBypasses(site, deviceStatus) {
+  const disarmed = Characteristic.SecuritySystemCurrentState.DISARMED;
+  const oldState = this.formatGetDeviceStatus('current', _.get(site, 'deviceStatus.summary', ''));
+  const newState = this.formatGetDeviceStatus('current', _.get(deviceStatus, 'summary', ''));
+
+  if (site.bypassedZones.length === 0 || oldState === undefined || oldState === disarmed || newState !== disarmed) {
+    return;
+  }
+
+  this.logMessage(`${site.name} was disarmed. Clearing ${site.bypassedZones.length} zone bypass(es)...`, 30);
+
+  _.set(site, 'bypassedZones', []);
+};
+
+/**
+ * Get zone conditions.
+ *
+ * @returns {object} - Zone condition names mapped to their characteristics.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getZoneConditions = function getZoneConditions() {
+  return {
+    lowBattery: Characteristic.StatusLowBattery,
+    tampered: Characteristic.StatusTampered,
+    fault: Characteristic.StatusFault,
+    active: Characteristic.StatusActive,
+  };
+};
+
+/**
+ * Get sensor types.
+ *
+ * @returns {string[]} - The "type" values accepted by "overrideSensors" and "sensorRules" (e.g. "sensor,doorWindow").
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getSensorTypes = function getSensorTypes() {
+  return _.map(_.keys(this.getZoneTypes()), (type) => `sensor,${type}`);
+};
+
+/**
+ * Get zone types.
+ *
+ * @returns {object} - Zone types mapped to their model name, default service, and the states that trip them.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getZoneTypes = function getZoneTypes() {
+  return {
+    doorWindow: {
+      model: 'Door/Window Sensor',
+      service: 'contact',
+      tripped: ['devStatOpen'],
+    },
+    glass: {
+      model: 'Glass Break Detector',
+      service: 'occupancy',
+      tripped: ['devStatAlarm'],
+    },
+    motion: {
+      model: 'Motion Sensor',
+      service: 'motion',
+      tripped: ['devStatMotion'],
+    },
+    co: {
+      model: 'Carbon Monoxide Detector',
+      service: 'co',
+      tripped: ['devStatAlarm'],
+    },
+    fire: {
+      model: 'Fire (Smoke/Heat) Detector',
+      service: 'smoke',
+      tripped: ['devStatAlarm'],
+    },
+    water: {
+      model: 'Water/Flood Sensor',
+      service: 'leak',
+      tripped: ['devStatAlarm'],
+    },
+    temperature: {
+      model: 'Temperature (Freeze) Sensor',
+      service: 'occupancy',
+      tripped: ['devStatAlarm'],
+    },
+    shock: {
+      model: 'Shock/Vibration Sensor',
+      service: 'motion',
+      tripped: ['devStatAlarm', 'devStatMotion'],
+    },
+    panic: {
+      model: 'Panic Button',
+      service: 'occupancy',
+      tripped: ['devStatAlarm'],
+    },
+  };
+};
+
+/**
+ * Get zone services.
+ *
+ * @returns {object} - HomeKit services a zone can be shown as, mapped to their characteristic and values.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getZoneServices = function getZoneServices() {
+  return {
+    contact: {
+      label: 'Contact Sensor',
+      service: Service.ContactSensor,
+      characteristic: Characteristic.ContactSensorState,
+      active: Characteristic.ContactSensorState.CONTACT_NOT_DETECTED,
+      inactive: Characteristic.ContactSensorState.CONTACT_DETECTED,
+    },
+    motion: {
+      label: 'Motion Sensor',
+      service: Service.MotionSensor,
+      characteristic: Characteristic.MotionDetected,
+      active: true,
+      inactive: false,
+    },
+    occupancy: {
+      label: 'Occupancy Sensor',
+      service: Service.OccupancySensor,
+      characteristic: Characteristic.OccupancyDetected,
+      active: Characteristic.OccupancyDetected.OCCUPANCY_DETECTED,
+      inactive: Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED,
+    },
+    leak: {
+      label: 'Leak Sensor',
+      service: Service.LeakSensor,
+      characteristic: Characteristic.LeakDetected,
+      active: Characteristic.LeakDetected.LEAK_DETECTED,
+      inactive: Characteristic.LeakDetected.LEAK_NOT_DETECTED,
+    },
+    smoke: {
+      label: 'Smoke Sensor',
+      service: Service.SmokeSensor,
+      characteristic: Characteristic.SmokeDetected,
+      active: Characteristic.SmokeDetected.SMOKE_DETECTED,
+      inactive: Characteristic.SmokeDetected.SMOKE_NOT_DETECTED,
+    },
+    co: {
+      label: 'Carbon Monoxide Sensor',
+      service: Service.CarbonMonoxideSensor,
+      characteristic: Characteristic.CarbonMonoxideDetected,
+      active: Characteristic.CarbonMonoxideDetected.CO_LEVELS_ABNORMAL,
+      inactive: Characteristic.CarbonMonoxideDetected.CO_LEVELS_NORMAL,
+    },
+    // Doors, windows, and garage doors are read-only. The target always follows the zone state.
+    door: {
+      label: 'Door',
+      service: Service.Door,
+      characteristic: Characteristic.CurrentPosition,
+      target: Characteristic.TargetPosition,
+      fixed: [
+        {
+          characteristic: Characteristic.PositionState,
+          value: Characteristic.PositionState.STOPPED,
+        },
+      ],
+      active: 100,
+      inactive: 0,
+      conditions: false,
+    },
+    window: {
+      label: 'Window',
+      service: Service.Window,
+      characteristic: Characteristic.CurrentPosition,
+      target: Characteristic.TargetPosition,
+      fixed: [
+        {
+          characteristic: Characteristic.PositionState,
+          value: Characteristic.PositionState.STOPPED,
+        },
+      ],
+      active: 100,
+      inactive: 0,
+      conditions: false,
+    },
+    garageDoor: {
+      label: 'Garage Door',
+      service: Service.GarageDoorOpener,
+      characteristic: Characteristic.CurrentDoorState,
+      target: Characteristic.TargetDoorState,
+      fixed: [
+        {
+          characteristic: Characteristic.ObstructionDetected,
+          value: false,
+        },
+      ],
+      active: Characteristic.CurrentDoorState.OPEN,
+      inactive: Characteristic.CurrentDoorState.CLOSED,
+      conditions: false,
+    },
+  };
+};
+
+/**
+ * Get accessory zone service.
  *
  * @param {object} accessory - The accessory.
  *
- * @since 1.0.0
+ * @returns {(undefined|object)} - The zone service (from "getZoneServices()") the accessory is shown as.
+ *
+ * @since 2.2.0
  */
-ADTPulsePlatform.prototype.removeAccessory = function removeAccessory(accessory) {
-  const that = this;
-
-  if (_.get(accessory, 'UUID') === undefined) {
-    this.logMessage(`Failed to remove invalid accessory... ${accessory}`, 10);
-    return;
-  }
-
-  const id = _.get(accessory, 'context.id');
-  const name = _.get(accessory, 'displayName');
-
-  this.logMessage(`Removing accessory... ${name} (${id})`, 30);
-  this.logMessage(accessory, 40);
-
-  // Remove from accessory array.
-  _.remove(that.accessories, (thatAccessory) => thatAccessory.UUID === accessory.UUID);
+ADTPulsePlatform.prototype.getAccessoryZoneService = function getAccessoryZoneService(accessory) {
+  const type = _.get(accessory, 'context.type');
+  const serviceName = _.get(accessory, 'context.service') || _.get(this.getZoneTypes(), [type, 'service']);
 
-  that.api.unregisterPlatformAccessories(
-    'homebridge-adt-pulse',
-    'ADTPulse',
-    [accessory],
-  );
+  return _.get(this.getZoneServices(), serviceName);
 };
 
 /**
- * Get device accessory.
+ * Configure zone service.
  *
- * @param {string}   type     - Can be "target" or "current".
- * @param {string}   id       - The accessory unique identification code.
- * @param {string}   name     - The name of the accessory.
- * @param {function} callback - Homebridge callback function.
+ * Adds the sensor service of a zone. The service comes from "overrideSensors" (per zone), then "zoneServices"
+ * (per type), then the default for the type. If the configured service changed, the old sensor service is
+ * swapped out in place, so the accessory keeps its room in HomeKit.
  *
- * @since 1.0.0
+ * @param {object} accessory - The accessory.
+ * @param {string} type      - Can be "doorWindow", "glass", "motion", "co", "fire", "water", "temperature", "shock", or "panic".
+ * @param {string} id        - The accessory unique identification code.
+ * @param {string} name      - The name of the accessory.
+ * @param {object} site      - The site that owns the accessory.
+ *
+ * @since 2.2.0
  */
-ADTPulsePlatform.prototype.getDeviceAccessory = function getDeviceAccessory(type, id, name, callback) {
-  const status = this.getDeviceStatus(type, true);
+ADTPulsePlatform.prototype.configureZoneService = function configureZoneService(accessory, type, id, name, site) {
+  const zoneServices = this.getZoneServices();
+  const overrideService = _.get(this.getZoneOverride(id, name, site), 'service');
+  const typeService = _.get(this.zoneServices, type);
 
-  let error = false;
+  let serviceName = _.get(this.getZoneTypes(), [type, 'service']);
 
-  if (status === undefined) {
-    error = true;
+  if (_.has(zoneServices, overrideService)) {
+    serviceName = overrideService;
+  } else if (_.has(zoneServices, typeService)) {
+    serviceName = typeService;
   }
 
-  this.logMessage(`Getting ${name} (${id}) ${type} status... ${status}`, 50);
+  const zoneService = zoneServices[serviceName];
 
-  callback(error, status);
-};
+  _.forEach(zoneServices, (otherZoneService, otherServiceName) => {
+    const otherService = accessory.getService(otherZoneService.service);
 
-/**
- * Set device accessory.
- *
- * @param {string}   id       - The accessory unique identification code.
- * @param {string}   name     - The name of the accessory.
- * @param {number}   state    - The state that accessory is being set to.
- * @param {function} callback - Homebridge callback function.
- *
- * @since 1.0.0
- */
-ADTPulsePlatform.prototype.setDeviceAccessory = function setDeviceAccessory(id, name, state, callback) {
-  const that = this;
+    if (otherServiceName !== serviceName && otherService !== undefined && otherZoneService.service !== zoneService.service) {
+      this.logMessage(`Changing ${name} (${id}) from ${otherZoneService.label} to ${zoneService.label}...`, 30);
 
-  this.setDeviceStatus(id, name, state);
+      accessory.removeService(otherService);
+    }
+  });
+
+  _.set(accessory, 'context.service', serviceName);
+
+  const service = accessory.getService(zoneService.service) || accessory.addService(zoneService.service, name);
+
+  service
+    .getCharacteristic(zoneService.characteristic)
+    .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
+
+  if (zoneService.target !== undefined) {
+    service
+      .getCharacteristic(zoneService.target)
+      .setProps({
+        perms: [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY],
+      })
+      .on('get', (callback) => this.getZoneAccessory(type, id, name, callback));
+  }
 
-  setTimeout(() => {
-    callback(null);
-  }, that.setDeviceTimeout * 1000);
+  _.forEach(zoneService.fixed, (fixed) => {
+    service.setCharacteristic(fixed.characteristic, fixed.value);
+  });
 };
 
 /**
- * Get zone accessory.
+ * Get zone override.
  *
- * @param {string}   type     - Can be "doorWindow", "glass", "motion", "co", or "fire".
- * @param {string}   id       - The accessory unique identification code.
- * @param {string}   name     - The name of the accessory.
- * @param {function} callback - Homebridge callback function.
+ * Finds the "overrideSensors" entry for a zone. Entries with an "id" (e.g. "sensor-3") match the zone number,
+ * other entries match the zone name (case-insensitive).
  *
- * @since 1.0.0
+ * @param {string} id        - The accessory unique identification code.
+ * @param {string} name      - The zone name.
+ * @param {object} site      - The site that owns the zone.
+ *
+ * @returns {object} - The override, or an empty object if the zone is not overridden.
+ *
+ * @since 2.2.0
  */
-ADTPulsePlatform.prototype.getZoneAccessory = function getZoneAccessory(type, id, name, callback) {
-  const status = this.getZoneStatus(type, id, true);
-
-  let error = false;
-
-  if (status === undefined) {
-    error = true;
-  }
+ADTPulsePlatform.prototype.getZoneOverride = function getZoneOverride(id, name, site) {
+  const zoneId = this.getZoneId(id);
+  const override = _.find(_.get(site, 'zoneSettings.overrideSensors', []), (overrideSensor) => {
+    if (_.get(overrideSensor, 'id') !== undefined) {
+      return overrideSensor.id === zoneId;
+    }
 
-  this.logMessage(`Getting ${name} (${id}) status... ${status}`, 50);
+    // Renamed accessories are configured from the cache with their new name.
+    return _.includes([
+      _.toLower(_.get(overrideSensor, 'name')),
+      _.toLower(_.get(overrideSensor, 'displayName')),
+    ], _.toLower(name));
+  });
 
-  callback(error, status);
+  return override || {};
 };
 
 /**
  * Get device status.
  *
- * Returns the latest device state and status from "this.deviceStatus" array.
+ * Returns the latest device state and status from the "deviceStatus" array of the site.
  *
- * @param {string}  type   - Can be "target" or "current".
+ * @param {string}  type   - Can be "target", "current", "fault", or "alarmType".
+ * @param {string}  id     - The accessory unique identification code.
  * @param {boolean} format - Format device status to Homebridge.
  *
  * @returns {(undefined|string|number)}
  *
  * @since 1.0.0
  */
-ADTPulsePlatform.prototype.getDeviceStatus = function getDeviceStatus(type, format) {
-  const device = this.deviceStatus;
+ADTPulsePlatform.prototype.getDeviceStatus = function getDeviceStatus(type, id, format) {
+  const device = _.get(this.getSite(id), 'deviceStatus');
   const summary = _.get(device, 'summary');
   const state = _.get(device, 'state');
   const status = _.get(device, 'status');
+  const requestedState = _.get(this.getSite(id), 'requestedState');
 
   if (typeof summary === 'string') {
     if (format) {
+      const lastKnownSummary = _.get(this.getSite(id), 'lastKnownSummary');
+
+      // Keep the requested target state until the request finishes (or is reverted).
+      if (type === 'target' && requestedState !== undefined) {
+        return requestedState;
+      }
+
+      // Reads return the last known state while the gateway is offline ("StatusFault" is set).
+      if (type !== 'fault' && this.isGatewayOffline(id) && lastKnownSummary !== undefined) {
+        return this.formatGetDeviceStatus(type, lastKnownSummary);
+      }
+
       return this.formatGetDeviceStatus(type, summary);
     }
 
@@ -556,12 +1930,46 @@ ADTPulsePlatform.prototype.getDeviceStatus = function getDeviceStatus(type, form
   return undefined;
 };
 
+/**
+ * Is gateway offline.
+ *
+ * The portal shows "Status Unavailable" when the ADT Pulse Gateway cannot reach the security panel.
+ *
+ * @param {string} id - The accessory unique identification code.
+ *
+ * @returns {boolean}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.isGatewayOffline = function isGatewayOffline(id) {
+  const summary = _.get(this.getSite(id), 'deviceStatus.summary');
+
+  return typeof summary === 'string' && summary.toLowerCase().includes('status unavailable');
+};
+
+/**
+ * Create communication error.
+ *
+ * @param {string} message - The error message (for older Homebridge versions).
+ *
+ * @returns {Error}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.createCommunicationError = function createCommunicationError(message) {
+  if (HapStatusError !== undefined && HAPStatus !== undefined) {
+    return new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+  }
+
+  return new Error(message);
+};
+
 /**
  * Format get device status.
  *
  * Converts the device state and status from ADT Pulse to Homebridge compatible.
  *
- * @param {string} type    - Can be "target" or "current".
+ * @param {string} type    - Can be "target", "current", "fault", or "alarmType".
  * @param {string} summary - The last known summary of the accessory.
  *
  * @returns {(undefined|number)}
@@ -570,16 +1978,25 @@ ADTPulsePlatform.prototype.getDeviceStatus = function getDeviceStatus(type, form
  */
 ADTPulsePlatform.prototype.formatGetDeviceStatus = function formatGetDeviceStatus(type, summary) {
   const lowerCaseSummary = summary.toLowerCase();
+  const unavailable = lowerCaseSummary.includes('status unavailable');
   const alarm = lowerCaseSummary.includes('alarm');
   const unclearedAlarm = lowerCaseSummary.includes('uncleared alarm');
   const disarmed = lowerCaseSummary.includes('disarmed');
-  const armAway = lowerCaseSummary.includes('armed away');
-  const armStay = lowerCaseSummary.includes('armed stay');
-  const armNight = lowerCaseSummary.includes('armed night');
+  const exitDelay = /\barming\b/.test(lowerCaseSummary) || lowerCaseSummary.includes('exit delay');
+  const armAway = lowerCaseSummary.includes('armed away') || lowerCaseSummary.includes('arming away');
+  const armStay = lowerCaseSummary.includes('armed stay') || lowerCaseSummary.includes('arming stay');
+  const armNight = lowerCaseSummary.includes('armed night') || lowerCaseSummary.includes('arming night');
 
   let status;
 
-  if (alarm && !unclearedAlarm) {
+  if (type === 'fault') {
+    status = (unavailable)
+      ? Characteristic.StatusFault.GENERAL_FAULT
+      : Characteristic.StatusFault.NO_FAULT;
+  } else if (type === 'alarmType') {
+    // HomeKit only knows "no alarm" (0) and "unknown alarm" (1). The cause is exposed through the alarm sensors.
+    status = (alarm && !unclearedAlarm) ? 1 : 0;
+  } else if (alarm && !unclearedAlarm) {
     if (type === 'current') {
       status = Characteristic.SecuritySystemCurrentState.ALARM_TRIGGERED;
     }
@@ -589,6 +2006,17 @@ ADTPulsePlatform.prototype.formatGetDeviceStatus = function formatGetDeviceStatu
     } else if (type === 'target') {
       status = Characteristic.SecuritySystemTargetState.DISARM;
     }
+  } else if (exitDelay && (armAway || armStay || armNight)) {
+    // During the exit delay, the target is set but the system is not armed yet.
+    if (type === 'current') {
+      status = Characteristic.SecuritySystemCurrentState.DISARMED;
+    } else if (type === 'target' && armAway) {
+      status = Characteristic.SecuritySystemTargetState.AWAY_ARM;
+    } else if (type === 'target' && armStay) {
+      status = Characteristic.SecuritySystemTargetState.STAY_ARM;
+    } else if (type === 'target' && armNight) {
+      status = Characteristic.SecuritySystemTargetState.NIGHT_ARM;
+    }
   } else if (armAway) {
     if (type === 'current') {
       status = Characteristic.SecuritySystemCurrentState.AWAY_ARM;
@@ -619,12 +2047,13 @@ ADTPulsePlatform.prototype.formatGetDeviceStatus = function formatGetDeviceStatu
  * @param {string} name - The name of the accessory.
  * @param {number} arm  - Defined status to change device to.
  *
+ * @returns {Promise<void>}
+ *
  * @since 1.0.0
  */
 ADTPulsePlatform.prototype.setDeviceStatus = function setDeviceStatus(id, name, arm) {
-  const that = this;
-
-  const latestState = this.getDeviceStatus('current', false);
+  const site = this.getSite(id);
+  const latestState = this.getDeviceStatus('current', id, false);
   const newArmState = this.formatSetDeviceStatus(arm, 'arm');
 
   let oldArmState = this.formatSetDeviceStatus(latestState, 'armState');
@@ -634,33 +2063,31 @@ ADTPulsePlatform.prototype.setDeviceStatus = function setDeviceStatus(id, name,
 
   if (typeof latestState === 'string' && latestState.includes('status unavailable')) {
     this.logMessage(`Unable to set ${name} (${id}) status. The ADT Pulse Gateway is offline.`, 10);
-    return;
+    return Promise.reject(new Error('The ADT Pulse Gateway is offline.'));
   }
 
   if (!oldArmState) {
     this.logMessage(`Unknown latestState context... ${latestState}`, 10);
-    return;
+    return Promise.reject(new Error(`Unknown latestState context... ${latestState}`));
   }
 
-  that.pulse
+  return site.pulse
     .login()
     .then(async () => {
       // Attempt to clear the alarms first.
       if (latestState.includes('alarm')) {
-        if (['carbon monoxide', 'fire', 'burglary'].includes(latestState)) {
+        if (_.get(site, 'deviceStatus.alarm')) {
           this.logMessage(`Alarm is active! Disarming the ${name} (${id})...`, 20);
 
-          await that.pulse.setDeviceStatus(oldArmState, 'off')
-            .then((response) => this.thenResponse(response))
-            .catch((error) => this.catchErrors(error));
+          await site.pulse.setDeviceStatus(oldArmState, 'off')
+            .then((response) => this.thenResponse(response));
         }
 
         this.logMessage(`Alarm is inactive. Clearing the ${name} (${id}) alarm...`, 20);
 
         // Clear the uncleared alarm.
-        await that.pulse.setDeviceStatus('disarmed+with+alarm', 'off')
-          .then((response) => this.thenResponse(response))
-          .catch((error) => this.catchErrors(error));
+        await site.pulse.setDeviceStatus('disarmed+with+alarm', 'off')
+          .then((response) => this.thenResponse(response));
 
         // Make sure oldArmState is manually reset.
         oldArmState = 'disarmed';
@@ -683,20 +2110,22 @@ ADTPulsePlatform.prototype.setDeviceStatus = function setDeviceStatus(id, name,
         if (oldArmState !== 'disarmed' && [armStay, armAway, armNight].includes(arm)) {
           this.logMessage(`Switching arm modes. Disarming ${name} (${id}) first...`, 30);
 
-          await that.pulse.setDeviceStatus(oldArmState, 'off')
-            .then((response) => this.thenResponse(response))
-            .catch((error) => this.catchErrors(error));
+          await site.pulse.setDeviceStatus(oldArmState, 'off')
+            .then((response) => this.thenResponse(response));
 
           // Make sure oldArmState is manually reset.
           oldArmState = 'disarmed';
         }
 
-        await that.pulse.setDeviceStatus(oldArmState, newArmState)
-          .then((response) => this.thenResponse(response))
-          .catch((error) => this.catchErrors(error));
+        await site.pulse.setDeviceStatus(oldArmState, newArmState)
+          .then((response) => this.thenResponse(response));
       }
     })
-    .catch((error) => this.catchErrors(error));
+    .catch((error) => {
+      this.catchErrors(error, site);
+
+      throw error;
+    });
 };
 
 /**
@@ -715,11 +2144,11 @@ ADTPulsePlatform.prototype.formatSetDeviceStatus = function formatSetDeviceStatu
   if (type === 'armState' && typeof status === 'string') {
     if (status.includes('disarmed')) {
       string = 'disarmed';
-    } else if (status.includes('armed away')) {
+    } else if (status.includes('armed away') || status.includes('arming away')) {
       string = 'away';
-    } else if (status.includes('armed stay')) {
+    } else if (status.includes('armed stay') || status.includes('arming stay')) {
       string = 'stay';
-    } else if (status.includes('armed night')) {
+    } else if (status.includes('armed night') || status.includes('arming night')) {
       string = 'night';
     }
   } else if (type === 'arm' && typeof status === 'number') {
@@ -740,9 +2169,9 @@ ADTPulsePlatform.prototype.formatSetDeviceStatus = function formatSetDeviceStatu
 /**
  * Get zone status.
  *
- * Returns the latest zone state from "this.zoneStatus" array.
+ * Returns the latest zone state from the "zoneStatus" array of the site.
  *
- * @param {string}  type   - Can be "system", "doorWindow", "glass", "motion", "co", or "fire".
+ * @param {string}  type   - Can be "system", "doorWindow", "glass", "motion", "co", "fire", "water", "temperature", "shock", or "panic".
  * @param {string}  id     - The accessory unique identification code.
  * @param {boolean} format - Format device status to Homebridge.
  *
@@ -751,12 +2180,14 @@ ADTPulsePlatform.prototype.formatSetDeviceStatus = function formatSetDeviceStatu
  * @since 1.0.0
  */
 ADTPulsePlatform.prototype.getZoneStatus = function getZoneStatus(type, id, format) {
-  const zone = _.find(this.zoneStatus, ['id', id]);
+  const zone = _.find(_.get(this.getSite(id), 'zoneStatus'), ['id', id]);
   const state = _.get(zone, 'state');
 
   if (typeof state === 'string') {
     if (format) {
-      return this.formatGetZoneStatus(type, state);
+      const accessory = _.find(this.accessories, ['context.id', id]);
+
+      return this.formatGetZoneStatus(type, state, _.get(accessory, 'context.service'));
     }
 
     return state;
@@ -770,58 +2201,76 @@ ADTPulsePlatform.prototype.getZoneStatus = function getZoneStatus(type, id, form
  *
  * Converts the zone state from ADT Pulse "devStat" icon classes to Homebridge compatible.
  *
- * @param {string} type  - Can be "doorWindow", "glass", "motion", "co", or "fire".
- * @param {string} state - Can be "devStatOK", "devStatLowBatt", "devStatOpen", "devStatMotion", "devStatTamper", or "devStatAlarm".
+ * @param {string} type      - Can be "doorWindow", "glass", "motion", "co", "fire", "water", "temperature", "shock", or "panic".
+ * @param {string} state     - Can be "devStatOK", "devStatLowBatt", "devStatOpen", "devStatMotion", "devStatTamper", "devStatAlarm", or "devStatUnknown".
+ * @param {string} [service] - The zone service (e.g. "contact" or "garageDoor") the accessory is shown as. Defaults to the service of the type.
  *
  * @returns {(undefined|number|boolean)}
  *
  * @since 1.0.0
  */
-ADTPulsePlatform.prototype.formatGetZoneStatus = function formatGetZoneStatus(type, state) {
-  let status;
+ADTPulsePlatform.prototype.formatGetZoneStatus = function formatGetZoneStatus(type, state, service) {
+  // Tampered and offline zones are reported through zone conditions, not as a trip.
+  const notTripped = ['devStatOK', 'devStatLowBatt', 'devStatTamper', 'devStatUnknown'];
+  const zoneType = _.get(this.getZoneTypes(), type);
+  const zoneService = _.get(this.getZoneServices(), service || _.get(zoneType, 'service'));
 
-  switch (type) {
-    case 'doorWindow':
-      if (state === 'devStatOK' || state === 'devStatLowBatt') {
-        status = Characteristic.ContactSensorState.CONTACT_DETECTED;
-      } else if (state === 'devStatOpen' || state === 'devStatTamper') {
-        status = Characteristic.ContactSensorState.CONTACT_NOT_DETECTED;
-      }
-      break;
-    case 'glass':
-      if (state === 'devStatOK' || state === 'devStatLowBatt') {
-        status = Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
-      } else if (state === 'devStatTamper') {
-        status = Characteristic.OccupancyDetected.OCCUPANCY_DETECTED;
-      }
-      break;
-    case 'motion':
-      if (state === 'devStatOK' || state === 'devStatLowBatt') {
-        status = false;
-      } else if (state === 'devStatMotion' || state === 'devStatTamper') {
-        status = true;
-      }
-      break;
-    case 'co':
-      if (state === 'devStatOK' || state === 'devStatLowBatt') {
-        status = Characteristic.CarbonMonoxideDetected.CO_LEVELS_NORMAL;
-      } else if (state === 'devStatAlarm' || state === 'devStatTamper') {
-        status = Characteristic.CarbonMonoxideDetected.CO_LEVELS_ABNORMAL;
-      }
-      break;
-    case 'fire':
-      if (state === 'devStatOK' || state === 'devStatLowBatt') {
-        status = Characteristic.SmokeDetected.SMOKE_NOT_DETECTED;
-      } else if (state === 'devStatAlarm' || state === 'devStatTamper') {
-        status = Characteristic.SmokeDetected.SMOKE_DETECTED;
-      }
-      break;
-    default:
-      this.logMessage(`Unknown type with state... ${type} (${state})`, 10);
-      break;
+  if (zoneType === undefined || zoneService === undefined) {
+    this.logMessage(`Unknown type with state... ${type} (${state})`, 10);
+
+    return undefined;
   }
 
-  return status;
+  if (notTripped.includes(state)) {
+    return zoneService.inactive;
+  }
+
+  if (zoneType.tripped.includes(state)) {
+    return zoneService.active;
+  }
+
+  return undefined;
+};
+
+/**
+ * Get zone condition.
+ *
+ * Returns the latest zone condition from the site, formatted for Homebridge.
+ *
+ * @param {string} condition - Can be "lowBattery", "tampered", "fault", or "active".
+ * @param {string} id        - The accessory unique identification code.
+ *
+ * @returns {(undefined|number|boolean)}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getZoneCondition = function getZoneCondition(condition, id) {
+  const site = this.getSite(id);
+  const zone = _.find(_.get(site, 'zoneStatus'), ['id', id]);
+
+  if (zone === undefined) {
+    return undefined;
+  }
+
+  switch (condition) {
+    case 'lowBattery':
+      return (site.lowBatteryZones.includes(id))
+        ? Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW
+        : Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL;
+    case 'tampered':
+      return (zone.state === 'devStatTamper')
+        ? Characteristic.StatusTampered.TAMPERED
+        : Characteristic.StatusTampered.NOT_TAMPERED;
+    case 'fault':
+      return (zone.state === 'devStatUnknown')
+        ? Characteristic.StatusFault.GENERAL_FAULT
+        : Characteristic.StatusFault.NO_FAULT;
+    case 'active':
+      return zone.state !== 'devStatUnknown';
+    default:
+      this.logMessage(`Unknown zone condition... ${condition}`, 10);
+      return undefined;
+  }
 };
 
 /**
@@ -829,59 +2278,82 @@ ADTPulsePlatform.prototype.formatGetZoneStatus = function formatGetZoneStatus(ty
  *
  * Retrieve latest status, add/remove accessories.
  *
+ * @param {number} index - The index of the site to synchronize.
+ *
  * @since 1.0.0
  */
-ADTPulsePlatform.prototype.portalSync = function portalSync() {
+ADTPulsePlatform.prototype.portalSync = function portalSync(index) {
   const that = this;
+  const site = that.sites[index];
 
-  clearTimeout(this.portalSyncSession.timer);
+  clearTimeout(site.portalSyncSession.timer);
 
   // Begin portal sync.
-  if (this.isSyncing !== true) {
-    this.isSyncing = true;
+  if (site.isSyncing !== true) {
+    site.isSyncing = true;
 
     // Reset stalled sync increments.
-    this.stalledSyncTimes = 0;
+    site.stalledSyncTimes = 0;
 
-    this.logMessage('Synchronizing with ADT Pulse Web Portal...', 40);
+    this.logMessage(`Synchronizing ${site.name} with ADT Pulse Web Portal...`, 40);
 
     // Store in session, so it's easy to wipe out later.
-    this.portalSyncSession.function = that.pulse
+    site.portalSyncSession.function = site.pulse
       .login()
       .then((response) => {
         const version = _.get(response, 'info.version');
         const supportedVersions = that.testedBuilds;
 
-        if (version !== undefined && !supportedVersions.includes(version) && version !== this.sessionVersion) {
+        if (version !== undefined && !supportedVersions.includes(version) && version !== site.sessionVersion) {
           this.logMessage(`Web Portal version ${version} detected. Test plugin to ensure system compatibility...`, 20);
         }
 
         // Bind version to session so message does not bomb logs.
-        this.sessionVersion = version;
+        site.sessionVersion = version;
+
+        // Keep the session for the next restart.
+        this.saveSession(index);
+
+        // Namespace accessory IDs once the site is known.
+        if (site.namespace === undefined) {
+          site.namespace = _.get(response, 'info.siteId') || `site-${site.sessionKey}`;
+
+          this.logMessage(`${site.name} accessories are namespaced with "${site.namespace}".`, 40);
+        }
       })
-      .then(() => that.pulse.performPortalSync())
+      .then(() => site.pulse.performPortalSync())
       .then(async (syncCode) => {
         const theSyncCode = _.get(syncCode, 'info.syncCode');
 
         // Runs if status changes.
-        if (theSyncCode !== this.lastSyncCode || theSyncCode === '1-0-0') {
+        if (theSyncCode !== site.lastSyncCode || theSyncCode === '1-0-0') {
           this.logMessage(`New sync code detected... ${theSyncCode}`, 40);
 
+          let skippedDeviceStatus = false;
+
           // Add or update accessories.
-          await that.pulse
+          await site.pulse
             .getDeviceStatus()
             .then(async (device) => {
               const deviceStatus = _.get(device, 'info');
 
-              const deviceUUID = UUIDGen.generate('system-1');
+              // A panel command is confirming the device status, do not overwrite it mid-command.
+              if (site.isCommandRunning) {
+                this.logMessage(`Panel command in progress. Skipping ${site.name} device status update...`, 40);
+
+                skippedDeviceStatus = true;
+                return;
+              }
+
+              const deviceId = this.namespaceId(site, 'system-1');
+              const deviceUUID = UUIDGen.generate(deviceId);
               const deviceLoaded = _.find(that.accessories, ['UUID', deviceUUID]);
 
               if (that.logActivity) {
-                const deviceId = 'system-1';
                 const deviceName = 'Security Panel';
 
-                const oldState = _.get(this.deviceStatus, 'state');
-                const oldStatus = _.get(this.deviceStatus, 'status');
+                const oldState = _.get(site.deviceStatus, 'state');
+                const oldStatus = _.get(site.deviceStatus, 'status');
                 const newState = _.get(deviceStatus, 'state');
                 const newStatus = _.get(deviceStatus, 'status');
 
@@ -893,27 +2365,36 @@ ADTPulsePlatform.prototype.portalSync = function portalSync() {
                 }
               }
 
+              this.resetZoneBypasses(site, deviceStatus);
+
               // Set latest status into instance.
-              this.deviceStatus = deviceStatus;
+              site.deviceStatus = deviceStatus;
+
+              if (this.formatGetDeviceStatus('current', _.get(deviceStatus, 'summary', '')) !== undefined) {
+                site.lastKnownSummary = _.get(deviceStatus, 'summary');
+              }
 
               // Add or update device.
               if (deviceLoaded === undefined) {
                 try {
-                  const getDeviceInfo = await that.pulse.getDeviceInformation();
+                  const getDeviceInfo = await site.pulse.getDeviceInformation();
                   const deviceInfo = _.get(getDeviceInfo, 'info');
                   const deviceInfoStatus = _.merge(deviceInfo, deviceStatus);
 
-                  this.prepareAddAccessory('device', deviceInfoStatus);
+                  this.prepareAddAccessory('device', deviceInfoStatus, site);
                 } catch (error) {
-                  this.catchErrors(error);
+                  this.catchErrors(error, site);
                 }
               }
 
-              this.devicePolling('system', 'system-1');
+              this.devicePolling('system', deviceId);
             })
-            .then(() => that.pulse.getZoneStatus())
+            .then(() => site.pulse.getZoneStatus())
             .then((zones) => {
-              const zoneStatus = _.get(zones, 'info');
+              const zoneStatus = _.map(_.get(zones, 'info'), (zone) => ({
+                ...zone,
+                id: this.namespaceId(site, _.get(zone, 'id')),
+              }));
 
               if (that.logActivity) {
                 _.forEach(zoneStatus, (zone) => {
@@ -921,7 +2402,7 @@ ADTPulsePlatform.prototype.portalSync = function portalSync() {
                   const zoneName = _.get(zone, 'name');
                   const zoneTags = _.get(zone, 'tags');
 
-                  const matchStatus = _.find(this.zoneStatus, {
+                  const matchStatus = _.find(site.zoneStatus, {
                     id: zoneId,
                     tags: zoneTags,
                   });
@@ -939,40 +2420,79 @@ ADTPulsePlatform.prototype.portalSync = function portalSync() {
               }
 
               // Set latest status into instance.
-              this.zoneStatus = zoneStatus;
+              site.zoneStatus = zoneStatus;
 
               _.forEach(zoneStatus, (zone) => {
                 const zoneId = _.get(zone, 'id');
+                const zoneName = _.get(zone, 'name');
                 const zoneTags = _.get(zone, 'tags');
+                const zoneState = _.get(zone, 'state');
 
                 const zoneType = zoneTags.substr(zoneTags.indexOf(',') + 1);
 
                 const deviceUUID = UUIDGen.generate(zoneId);
                 const deviceLoaded = _.find(that.accessories, ['UUID', deviceUUID]);
 
-                // Do not poll or add unknown sensor type.
-                if (zoneTags === 'sensor') {
+                // The orb shows one icon per zone, so low battery stays set until the zone reports "devStatOK".
+                if (zoneState === 'devStatLowBatt' && !site.lowBatteryZones.includes(zoneId)) {
+                  site.lowBatteryZones.push(zoneId);
+
+                  this.logMessage(`${zoneName} (${zoneId}) reports low battery. Replace the battery soon.`, 20);
+                } else if (zoneState === 'devStatOK' && site.lowBatteryZones.includes(zoneId)) {
+                  _.pull(site.lowBatteryZones, zoneId);
+
+                  this.logMessage(`${zoneName} (${zoneId}) battery is back to normal.`, 30);
+                }
+
+                const zoneOverride = this.getZoneOverride(zoneId, zoneName, site);
+
+                // Do not poll or add unknown sensor type or hidden zones.
+                if (zoneTags === 'sensor' || _.get(zoneOverride, 'hidden') === true) {
+                  return;
+                }
+
+                // Wait for the device type, so the zone is not added (or replaced) with a type that changes later.
+                if (_.get(zone, 'deviceTypePending') === true) {
+                  if (deviceLoaded !== undefined) {
+                    this.devicePolling(_.get(deviceLoaded, 'context.type'), zoneId);
+                  }
+
                   return;
                 }
 
                 // Add or update zone.
                 if (deviceLoaded === undefined) {
-                  this.prepareAddAccessory('zone', zone);
+                  this.prepareAddAccessory('zone', zone, site);
+                } else if (_.get(deviceLoaded, 'context.type') !== zoneType) {
+                  this.logMessage(`${zoneName} (${zoneId}) changed from "${_.get(deviceLoaded, 'context.type')}" to "${zoneType}". Replacing accessory...`, 20);
+
+                  this.removeAccessory(deviceLoaded);
+                  this.prepareAddAccessory('zone', zone, site);
+                } else if (_.get(zoneOverride, 'displayName') !== undefined && deviceLoaded.displayName !== zoneOverride.displayName) {
+                  this.renameAccessory(deviceLoaded, zoneOverride.displayName);
                 }
 
                 this.devicePolling(zoneType, zoneId);
               });
             })
-            .catch((error) => this.catchErrors(error));
+            .catch((error) => this.catchErrors(error, site));
 
           // Remove obsolete zones.
           _.forEachRight(that.accessories, (accessory) => {
             const id = _.get(accessory, 'context.id');
             const type = _.get(accessory, 'context.type');
-            const zone = _.find(this.zoneStatus, { id });
+            const namespace = _.get(accessory, 'context.namespace', '');
+            const zone = _.find(site.zoneStatus, { id });
+
+            // Hidden zones are removed even if "removeObsoleteZones" is disabled.
+            if (zone !== undefined && type !== 'system' && _.get(this.getZoneOverride(id, _.get(zone, 'name'), site), 'hidden') === true) {
+              this.logMessage(`Preparing to remove hidden zone (${id}) accessory...`, 30);
+              this.removeAccessory(accessory);
+              return;
+            }
 
-            // Do not remove security panel(s).
-            if (zone === undefined && type !== 'system') {
+            // Do not remove security panel(s) or zones from other sites.
+            if (zone === undefined && type !== 'system' && namespace === site.namespace) {
               if (that.removeObsoleteZones) {
                 this.logMessage(`Preparing to remove zone (${id}) accessory...`, 30);
                 this.removeAccessory(accessory);
@@ -982,52 +2502,134 @@ ADTPulsePlatform.prototype.portalSync = function portalSync() {
             }
           });
 
-          // Update sync code.
-          this.lastSyncCode = theSyncCode;
+          // Update sync code (unless the device status needs another look after the panel command).
+          if (!skippedDeviceStatus) {
+            site.lastSyncCode = theSyncCode;
+          }
         }
       })
       .then(() => {
-        this.isSyncing = false;
+        site.isSyncing = false;
       })
       .catch((error) => {
-        this.isSyncing = false;
+        site.isSyncing = false;
 
-        this.catchErrors(error);
+        this.catchErrors(error, site);
       });
-  } else if (this.stalledSyncTimes >= 5) {
-    this.isSyncing = false;
+  } else if (site.stalledSyncTimes >= 5) {
+    site.isSyncing = false;
 
     // Reset sync session.
-    this.portalSyncSession = {};
+    site.portalSyncSession = {};
 
     this.logMessage('Portal sync stalled. Cleaning up and resetting...', 20);
   } else {
-    this.stalledSyncTimes += 1;
+    site.stalledSyncTimes += 1;
 
     this.logMessage('Portal sync is already in progress...', 40);
   }
 
   // Refresh portal sync session.
-  this.portalSyncSession.timer = setTimeout(
+  site.portalSyncSession.timer = setTimeout(
     () => {
-      if (this.failedLoginTimes > 2) {
-        this.failedLoginTimes = 0;
+      if (site.failedLoginTimes > 2) {
+        site.failedLoginTimes = 0;
       }
 
-      this.portalSync();
+      this.portalSync(index);
     },
     // If login failed more than 2 times.
-    (this.failedLoginTimes >= 2)
+    (site.failedLoginTimes >= 2)
       ? that.syncIntervalDelay * 1000
       : that.syncInterval * 1000,
   );
 };
 
+/**
+ * Get session file.
+ *
+ * @param {object} site - The site.
+ *
+ * @returns {string}
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.getSessionFile = function getSessionFile(site) {
+  return path.join(this.api.user.storagePath(), 'adt-pulse', `session-${site.sessionKey}.json`);
+};
+
+/**
+ * Restore session.
+ *
+ * Reuses the portal session saved in the Homebridge storage path, so restarts do not post credentials again.
+ *
+ * @param {number} index - The index of the site.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.restoreSession = function restoreSession(index) {
+  const site = this.sites[index];
+  const sessionFile = this.getSessionFile(site);
+
+  let session;
+
+  try {
+    session = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+  } catch (error) {
+    this.logMessage(`No saved session found for ${site.name}. Logging in with credentials...`, 40);
+    return;
+  }
+
+  if (site.pulse.setSession(session)) {
+    site.lastSavedSession = JSON.stringify(session);
+
+    this.logMessage(`Restored saved session for ${site.name}...`, 30);
+  } else {
+    this.logMessage(`Saved session for ${site.name} is invalid. Logging in with credentials...`, 20);
+  }
+};
+
+/**
+ * Save session.
+ *
+ * Writes the portal session into the Homebridge storage path, only when it has changed.
+ *
+ * @param {number} index - The index of the site.
+ *
+ * @since 2.2.0
+ */
+ADTPulsePlatform.prototype.saveSession = function saveSession(index) {
+  const site = this.sites[index];
+  const sessionFile = this.getSessionFile(site);
+  const session = JSON.stringify(site.pulse.getSession());
+
+  if (session === 'null' || session === site.lastSavedSession) {
+    return;
+  }
+
+  site.lastSavedSession = session;
+
+  fs.mkdir(path.dirname(sessionFile), { recursive: true }, (mkdirError) => {
+    if (mkdirError) {
+      this.logMessage(`Failed to save session for ${site.name}... ${mkdirError.message}`, 20);
+      return;
+    }
+
+    fs.writeFile(sessionFile, session, { mode: 0o600 }, (writeError) => {
+      if (writeError) {
+        this.logMessage(`Failed to save session for ${site.name}... ${writeError.message}`, 20);
+      } else {
+        this.logMessage(`Saved session for ${site.name}...`, 40);
+      }
+    });
+  });
+};
+
 /**
  * Convert "devStat" zone statuses to human readable format.
  *
  * @param {string} status - The raw "devStat" zone status.
- * @param {string} type   - Can be "sensor,doorWindow", "sensor,glass", "sensor,motion", "sensor,co", or "sensor,fire".
+ * @param {string} type   - Can be "sensor,doorWindow", "sensor,glass", "sensor,motion", "sensor,co", "sensor,fire", "sensor,water", "sensor,temperature", "sensor,shock", or "sensor,panic".
  *
  * @returns {(undefined|string)}
  *
@@ -1052,8 +2654,14 @@ ADTPulsePlatform.prototype.convertZoneStatus = function convertZoneStatus(status
           break;
         case 'sensor,co':
         case 'sensor,fire':
+        case 'sensor,water':
+        case 'sensor,temperature':
+        case 'sensor,panic':
           newStatus = 'no alarm';
           break;
+        case 'sensor,shock':
+          newStatus = 'no vibration';
+          break;
         default:
           break;
       }
@@ -1068,7 +2676,7 @@ ADTPulsePlatform.prototype.convertZoneStatus = function convertZoneStatus(status
 /**
  * Force accessories to update.
  *
- * @param {string} type - Can be "system", "doorWindow", "glass", "motion", "co", or "fire".
+ * @param {string} type - Can be "system", "doorWindow", "glass", "motion", "co", "fire", "water", "temperature", "shock", or "panic".
  * @param {string} id   - The accessory unique identification code.
  *
  * @since 1.0.0
@@ -1094,40 +2702,68 @@ ADTPulsePlatform.prototype.devicePolling = function devicePolling(type, id) {
           .getService(Service.SecuritySystem)
           .getCharacteristic(Characteristic.SecuritySystemCurrentState)
           .getValue();
-        break;
-      case 'doorWindow':
-        accessory
-          .getService(Service.ContactSensor)
-          .getCharacteristic(Characteristic.ContactSensorState)
-          .getValue();
-        break;
-      case 'glass':
+
         accessory
-          .getService(Service.OccupancySensor)
-          .getCharacteristic(Characteristic.OccupancyDetected)
+          .getService(Service.SecuritySystem)
+          .getCharacteristic(Characteristic.StatusFault)
           .getValue();
-        break;
-      case 'motion':
+
         accessory
-          .getService(Service.MotionSensor)
-          .getCharacteristic(Characteristic.MotionDetected)
+          .getService(Service.SecuritySystem)
+          .getCharacteristic(Characteristic.SecuritySystemAlarmType)
           .getValue();
+
+        _.forEach(this.getAlarmCauses(), (alarmCause, cause) => {
+          const service = accessory.getServiceById(alarmCause.service, `alarm-${cause}`);
+
+          if (service !== undefined) {
+            service
+              .getCharacteristic(alarmCause.characteristic)
+              .getValue();
+          }
+        });
+
+        if (accessory.getServiceById(Service.MotionSensor, 'entry-delay') !== undefined) {
+          accessory
+            .getServiceById(Service.MotionSensor, 'entry-delay')
+            .getCharacteristic(Characteristic.MotionDetected)
+            .getValue();
+        }
         break;
-      case 'co':
-        accessory
-          .getService(Service.CarbonMonoxideSensor)
-          .getCharacteristic(Characteristic.CarbonMonoxideDetected)
-          .getValue();
+      default:
+        if (this.getAccessoryZoneService(accessory) !== undefined) {
+          const zoneService = this.getAccessoryZoneService(accessory);
+
+          _.forEach(_.compact([zoneService.characteristic, zoneService.target]), (characteristic) => {
+            accessory
+              .getService(zoneService.service)
+              .getCharacteristic(characteristic)
+              .getValue();
+          });
+        } else {
+          this.logMessage(`Failed to poll invalid or unsupported accessory... ${type}`, 10);
+        }
         break;
-      case 'fire':
+    }
+
+    if (type !== 'system') {
+      const zoneService = this.getAccessoryZoneService(accessory);
+      const service = (zoneService !== undefined) ? accessory.getService(zoneService.service) : undefined;
+
+      if (service !== undefined && zoneService.conditions !== false) {
+        _.forEach(this.getZoneConditions(), (characteristic) => {
+          service
+            .getCharacteristic(characteristic)
+            .getValue();
+        });
+      }
+
+      if (accessory.getServiceById(Service.Switch, 'bypass') !== undefined) {
         accessory
-          .getService(Service.SmokeSensor)
-          .getCharacteristic(Characteristic.SmokeDetected)
+          .getServiceById(Service.Switch, 'bypass')
+          .getCharacteristic(Characteristic.On)
           .getValue();
-        break;
-      default:
-        this.logMessage(`Failed to poll invalid or unsupported accessory... ${type}`, 10);
-        break;
+      }
     }
   }
 };
@@ -1141,8 +2777,11 @@ ADTPulsePlatform.prototype.devicePolling = function devicePolling(type, id) {
  */
 ADTPulsePlatform.prototype.thenResponse = function thenResponse(response) {
   const forceArm = _.get(response, 'info.forceArm');
+  const bypassedZones = _.get(response, 'info.bypassedZones', []);
 
-  if (forceArm) {
+  if (forceArm && bypassedZones.length > 0) {
+    this.logMessage(`Sensor(s) were bypassed when arming: ${_.map(bypassedZones, 'name').join(', ')}.`, 20);
+  } else if (forceArm) {
     this.logMessage('Sensor(s) were bypassed when arming. Check the ADT Pulse website or app for more details.', 20);
   }
 
@@ -1154,11 +2793,12 @@ ADTPulsePlatform.prototype.thenResponse = function thenResponse(response) {
 /**
  * Catch errors.
  *
- * @param {object} error - The error response object.
+ * @param {object} error  - The error response object.
+ * @param {object} [site] - The site where the error occurred.
  *
  * @since 1.0.0
  */
-ADTPulsePlatform.prototype.catchErrors = function catchErrors(error) {
+ADTPulsePlatform.prototype.catchErrors = function catchErrors(error, site) {
   const action = _.get(error, 'action');
   const infoError = _.get(error, 'info.error');
   const infoMessage = _.get(error, 'info.message', '');
@@ -1167,12 +2807,17 @@ ADTPulsePlatform.prototype.catchErrors = function catchErrors(error) {
 
   switch (action) {
     case 'LOGIN':
-      if (infoMessage.match(/(Sign In unsuccessful\.)/g)) {
-        this.failedLoginTimes += 1;
+      if (site !== undefined && (infoMessage.match(/(Sign In unsuccessful\.)/g) || _.get(error, 'info.mfaRequired') === true)) {
+        _.set(site, 'failedLoginTimes', site.failedLoginTimes + 1);
+      }
+
+      // Untrusted fingerprints cannot pass 2-factor authentication on their own.
+      if (_.get(error, 'info.mfaRequired') === true) {
+        this.logMessage('Login requires 2-factor authentication. Register a fingerprint with "node api-test --action mfa" and set it in the "fingerprint" setting.', 10);
       }
 
       // If login fails more than 2 times.
-      if (this.failedLoginTimes > 2) {
+      if (_.get(site, 'failedLoginTimes', 0) > 2) {
         this.logMessage('Login failed more than 2 times. Portal sync restarting in 10 minutes...', priority = 10);
       } else {
         this.logMessage('Login failed. Trying again...', priority = 20);
@@ -1181,6 +2826,12 @@ ADTPulsePlatform.prototype.catchErrors = function catchErrors(error) {
     case 'SYNC':
       this.logMessage('Portal sync failed. Attempting to fix connection...', priority = 40);
       break;
+    case 'GET_SITES':
+      this.logMessage('Get sites failed.', priority = 10);
+      break;
+    case 'SELECT_SITE':
+      this.logMessage('Select site failed.', priority = 10);
+      break;
     case 'GET_DEVICE_INFO':
       this.logMessage('Get device information failed.', priority = 10);
       break;
@@ -1193,6 +2844,9 @@ ADTPulsePlatform.prototype.catchErrors = function catchErrors(error) {
     case 'SET_DEVICE_STATUS':
       this.logMessage('Set device status failed.', priority = 10);
       break;
+    case 'SET_ZONE_BYPASS':
+      this.logMessage('Set zone bypass failed.', priority = 10);
+      break;
     case 'HOST_UNREACHABLE':
       this.logMessage('Internet disconnected or portal unreachable. Trying again...', priority = 10);
       break;
@@ -1291,6 +2945,10 @@ module.exports = function plugin(homebridge) {
   Characteristic = homebridge.hap.Characteristic;
   UUIDGen = homebridge.hap.uuid;
 
+  // Not available in older Homebridge versions.
+  HapStatusError = homebridge.hap.HapStatusError;
+  HAPStatus = homebridge.hap.HAPStatus;
+
   // Register the platform into Homebridge.
   homebridge.registerPlatform(
     'homebridge-adt-pulse',
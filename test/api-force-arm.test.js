@@ -0,0 +1,142 @@
+/**
+ * ADT Pulse force arm tests.
+ *
+ * @since 2.2.0
+ */
+const assert = require('assert');
+
+const Pulse = require('../api');
+const { createTransport, readFixture } = require('./helpers/transport');
+
+describe('Pulse force arm', () => {
+  const orb = readFixture('24.0.0-117/orb.html');
+  const quietOrb = orb.replace(/icon="devStat[A-Za-z]+"/g, 'icon="devStatOK"');
+
+  /**
+   * Arm.
+   *
+   * @param {object}           options     - The "forceArm" and "forceArmZones" options.
+   * @param {(object|boolean)} orbResponse - The "ajax/orb.jsp" response, or false if the page fails to load.
+   * @param {string}           armDisarm   - The "quickcontrol/armDisarm.jsp" fixture.
+   *
+   * @returns {Promise<object>} - The settled result and the requests sent.
+   *
+   * @since 2.2.0
+   */
+  const arm = async (options, orbResponse, armDisarm = '24.0.0-117/arm-disarm-force.html') => {
+    const transport = createTransport({
+      'GET /summary/summary.jsp': { body: readFixture('24.0.0-117/summary-disarmed.html') },
+      'GET /quickcontrol/armDisarm.jsp': { body: readFixture(armDisarm) },
+      'GET /quickcontrol/serv/RunRRACommand': { body: '' },
+      'GET /ajax/orb.jsp': (orbResponse === false) ? { error: new Error('socket hang up') } : orbResponse,
+      'GET /system/device.jsp': { body: readFixture('24.0.0-117/device-zone.html') },
+    });
+    const pulse = new Pulse({
+      baseUrl: 'http://127.0.0.1',
+      transport,
+      ...options,
+    });
+
+    await pulse.login();
+
+    const [result] = await Promise.allSettled([pulse.setDeviceStatus('disarmed', 'away')]);
+
+    return {
+      result,
+      forceArmed: transport.requests.some((request) => request.path === '/quickcontrol/serv/RunRRACommand'),
+    };
+  };
+
+  it('arms without force arming when the portal does not ask', async () => {
+    const { result, forceArmed } = await arm({ forceArm: 'never' }, { body: orb }, '24.0.0-117/arm-disarm.html');
+
+    assert.strictEqual(result.status, 'fulfilled');
+    assert.strictEqual(result.value.info.decision, 'armed');
+    assert.strictEqual(forceArmed, false);
+  });
+
+  describe('always', () => {
+    it('bypasses the zones holding up arming', async () => {
+      const { result, forceArmed } = await arm({ forceArm: 'always' }, { body: orb });
+
+      assert.strictEqual(result.value.info.decision, 'forceArmed');
+      assert.deepStrictEqual(result.value.info.bypassedZones.map((zone) => zone.id), ['sensor-1', 'sensor-3', 'sensor-5', 'sensor-13']);
+      assert.strictEqual(result.value.info.bypassedZonesKnown, true);
+      assert.strictEqual(forceArmed, true);
+    });
+
+    it('still arms when the zones cannot be fetched', async () => {
+      const { result, forceArmed } = await arm({ forceArm: 'always' }, false);
+
+      assert.strictEqual(result.value.info.decision, 'forceArmed');
+      assert.deepStrictEqual(result.value.info.bypassedZones, []);
+      assert.strictEqual(result.value.info.bypassedZonesKnown, false);
+      assert.strictEqual(forceArmed, true);
+    });
+  });
+
+  describe('never', () => {
+    it('fails with the zones holding up arming', async () => {
+      const { result, forceArmed } = await arm({ forceArm: 'never' }, { body: orb });
+
+      assert.strictEqual(result.status, 'rejected');
+      assert.strictEqual(result.reason.info.decision, 'blocked');
+      assert.deepStrictEqual(result.reason.info.blockedZones.map((zone) => zone.id), ['sensor-1', 'sensor-3', 'sensor-5', 'sensor-13']);
+      assert.strictEqual(forceArmed, false);
+    });
+
+    it('fails when every zone closed after the portal asked', async () => {
+      const { result, forceArmed } = await arm({ forceArm: 'never' }, { body: quietOrb });
+
+      assert.strictEqual(result.status, 'rejected');
+      assert.strictEqual(result.reason.info.decision, 'blocked');
+      assert.strictEqual(forceArmed, false);
+    });
+
+    it('fails when the zones cannot be fetched', async () => {
+      const { result, forceArmed } = await arm({ forceArm: 'never' }, false);
+
+      assert.strictEqual(result.status, 'rejected');
+      assert.strictEqual(forceArmed, false);
+    });
+  });
+
+  describe('allowlist', () => {
+    const allowAll = {
+      forceArm: 'allowlist',
+      forceArmZones: ['sensor-1', 'hallway motion', 'Back Window', 'sensor-13'],
+    };
+
+    it('arms when every zone is allowed', async () => {
+      const { result, forceArmed } = await arm(allowAll, { body: orb });
+
+      assert.strictEqual(result.value.info.decision, 'forceArmed');
+      assert.strictEqual(forceArmed, true);
+    });
+
+    it('fails when a zone is not allowed', async () => {
+      const { result, forceArmed } = await arm({
+        forceArm: 'allowlist',
+        forceArmZones: ['sensor-1'],
+      }, { body: orb });
+
+      assert.strictEqual(result.reason.info.decision, 'blocked');
+      assert.deepStrictEqual(result.reason.info.blockedZones.map((zone) => zone.id), ['sensor-3', 'sensor-5', 'sensor-13']);
+      assert.strictEqual(forceArmed, false);
+    });
+
+    it('fails when no zone holding up arming can be found', async () => {
+      const { result, forceArmed } = await arm(allowAll, { body: quietOrb });
+
+      assert.strictEqual(result.reason.info.decision, 'blocked');
+      assert.strictEqual(forceArmed, false);
+    });
+
+    it('fails when the zones cannot be fetched', async () => {
+      const { result, forceArmed } = await arm(allowAll, false);
+
+      assert.strictEqual(result.reason.info.decision, 'blocked');
+      assert.strictEqual(forceArmed, false);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * ADT Pulse session tests.
+ *
+ * @since 2.2.0
+ */
+const assert = require('assert');
+
+const Pulse = require('../api');
+const { createTransport, expiredResponse, readFixture } = require('./helpers/transport');
+
+describe('Pulse session', () => {
+  it('shares one login between concurrent callers', async () => {
+    const transport = createTransport({});
+    const pulse = new Pulse({
+      baseUrl: 'http://127.0.0.1',
+      transport,
+    });
+
+    await Promise.all([pulse.login(), pulse.login(), pulse.login()]);
+
+    assert.strictEqual(transport.logins, 1);
+    assert.strictEqual(pulse.pendingLogin, undefined);
+  });
+
+  it('logs in once when concurrent requests find the session expired', async () => {
+    let orbRequests = 0;
+
+    const transport = createTransport({
+      'GET /ajax/orb.jsp': () => {
+        orbRequests += 1;
+
+        // The first two requests were sent with the expired session.
+        return (orbRequests <= 2) ? expiredResponse() : { body: readFixture('24.0.0-117/orb.html').replace(/<tr[\s\S]*<\/tr>/, '') };
+      },
+    });
+    const pulse = new Pulse({
+      baseUrl: 'http://127.0.0.1',
+      transport,
+    });
+
+    await pulse.login();
+
+    const [deviceStatus, zoneStatus] = await Promise.all([pulse.getDeviceStatus(), pulse.getZoneStatus()]);
+
+    assert.strictEqual(deviceStatus.info.state, 'Armed Stay');
+    assert.deepStrictEqual(zoneStatus.info, []);
+    assert.strictEqual(transport.logins, 2);
+  });
+
+  it('rejects every caller when the shared login fails', async () => {
+    const transport = createTransport({
+      'POST /access/signin.jsp': expiredResponse(),
+    });
+    const pulse = new Pulse({
+      baseUrl: 'http://127.0.0.1',
+      transport,
+    });
+
+    const results = await Promise.allSettled([pulse.login(), pulse.login()]);
+
+    assert.deepStrictEqual(results.map((result) => result.status), ['rejected', 'rejected']);
+    assert.strictEqual(transport.logins, 1);
+    assert.strictEqual(pulse.pendingLogin, undefined);
+  });
+
+  it('fails the login when the site lookup finds the session expired', async () => {
+    const transport = createTransport({
+      'GET /summary/summary.jsp': expiredResponse(),
+    });
+    const pulse = new Pulse({
+      baseUrl: 'http://127.0.0.1',
+      siteName: 'Vacation Home',
+      transport,
+    });
+
+    await assert.rejects(pulse.login(), { action: 'GET_SITES' });
+
+    assert.strictEqual(transport.logins, 1);
+    assert.strictEqual(pulse.pendingLogin, undefined);
+
+    // The next login starts over instead of waiting on the failed one.
+    await assert.rejects(pulse.login(), { action: 'GET_SITES' });
+
+    assert.strictEqual(transport.logins, 2);
+  });
+});
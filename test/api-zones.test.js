@@ -0,0 +1,106 @@
+/**
+ * ADT Pulse zone status tests.
+ *
+ * @since 2.2.0
+ */
+const assert = require('assert');
+
+const Pulse = require('../api');
+const { createTransport, readFixture } = require('./helpers/transport');
+
+describe('Pulse zone status', () => {
+  const orb = readFixture('24.0.0-117/orb.html');
+
+  /**
+   * Create pulse.
+   *
+   * @param {function} deviceRoute - Answers "system/device.jsp" requests.
+   *
+   * @returns {object} - The pulse and transport.
+   *
+   * @since 2.2.0
+   */
+  const createPulse = async (deviceRoute) => {
+    const transport = createTransport({
+      'GET /ajax/orb.jsp': { body: orb },
+      'GET /system/device.jsp': deviceRoute,
+    });
+    const pulse = new Pulse({
+      baseUrl: 'http://127.0.0.1',
+      transport,
+    });
+
+    await pulse.login();
+
+    return {
+      pulse,
+      transport,
+    };
+  };
+
+  it('classifies zones by their declared device type', async () => {
+    const { pulse } = await createPulse((request) => ({
+      body: readFixture('24.0.0-117/device-zone.html').replace('Door/Window Sensor', (request.query.id === '3') ? 'Glass Break Detector' : 'Door/Window Sensor'),
+    }));
+
+    const zones = (await pulse.getZoneStatus()).info;
+
+    assert.strictEqual(zones[1].tags, 'sensor,glass');
+    assert.strictEqual(zones[1].detectedBy, 'device type');
+    assert.strictEqual(zones[1].deviceTypePending, false);
+  });
+
+  it('keeps the session when a zone device page fails', async () => {
+    const { pulse, transport } = await createPulse((request) => ((request.query.id === '3') ? { error: new Error('socket hang up') } : { body: readFixture('24.0.0-117/device-zone.html') }));
+
+    const zones = (await pulse.getZoneStatus()).info;
+
+    assert.strictEqual(pulse.authenticated, true);
+    assert.strictEqual(transport.logins, 1);
+    assert.strictEqual(zones[1].deviceType, undefined);
+    assert.strictEqual(zones[1].deviceTypePending, true);
+    assert.strictEqual(zones[0].deviceTypePending, false);
+  });
+
+  it('retries failed zone device pages later', async () => {
+    let fail = true;
+
+    const { pulse, transport } = await createPulse(() => (fail ? { error: new Error('socket hang up') } : { body: readFixture('24.0.0-117/device-zone.html') }));
+    const deviceRequests = () => transport.requests.filter((request) => request.path === '/system/device.jsp').length;
+
+    await pulse.getZoneStatus();
+
+    assert.strictEqual(deviceRequests(), 7);
+
+    // Not retried before the retry time.
+    await pulse.getZoneStatus();
+
+    assert.strictEqual(deviceRequests(), 7);
+
+    fail = false;
+    Object.values(pulse.zoneDeviceTypeFailures).forEach((failure) => {
+      Object.assign(failure, { retryAt: 0 });
+    });
+
+    const zones = (await pulse.getZoneStatus()).info;
+
+    assert.strictEqual(deviceRequests(), 14);
+    assert.strictEqual(zones[1].deviceType, 'Door/Window Sensor');
+    assert.deepStrictEqual(pulse.zoneDeviceTypeFailures, {});
+  });
+
+  it('stops holding zones back after 3 failures', async () => {
+    const { pulse } = await createPulse(() => ({ error: new Error('socket hang up') }));
+
+    pulse.zoneDeviceTypeFailures[3] = {
+      count: 2,
+      retryAt: 0,
+    };
+
+    const zones = (await pulse.getZoneStatus()).info;
+
+    assert.strictEqual(zones[1].deviceTypePending, false);
+    assert.strictEqual(zones[1].detectedBy, 'name');
+    assert.strictEqual(pulse.zoneDeviceTypeFailures[3].count, 3);
+  });
+});
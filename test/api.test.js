@@ -0,0 +1,435 @@
+/**
+ * ADT Pulse parser tests.
+ *
+ * Runs the portal page parsers in "api.js" against saved pages from each tested portal build (see "testedBuilds"
+ * in "index.js") and against broken pages.
+ *
+ * @since 2.2.0
+ */
+const assert = require('assert');
+
+const Pulse = require('../api');
+const { readFixture } = require('./helpers/transport');
+
+/**
+ * Orb with summary.
+ *
+ * Swaps the text summary of a saved orb page, so every state and status is parsed from real page markup.
+ *
+ * @param {string} build   - The portal build (e.g. "24.0.0-117").
+ * @param {string} summary - The text summary (e.g. "Armed Away. All Quiet.").
+ *
+ * @returns {string}
+ *
+ * @since 2.2.0
+ */
+function orbWithSummary(build, summary) {
+  return readFixture(`${build}/orb.html`).replace(
+    /(<div id="divOrbTextSummary"[^>]*><span[^>]*>)(.*?)(<\/span>)/,
+    `$1${summary.replace(/\. /g, '.&nbsp;')}$3`,
+  );
+}
+
+describe('Pulse', () => {
+  const builds = ['23.0.0-99', '24.0.0-117'];
+
+  describe('parseOrbSummary()', () => {
+    const cases = [
+      ['Disarmed. All Quiet.', 'Disarmed', 'All Quiet', '', ''],
+      ['Armed Away. All Quiet.', 'Armed Away', 'All Quiet', '', ''],
+      ['Armed Stay. 1 Sensor Open.', 'Armed Stay', '1 Sensor Open', '', ''],
+      ['Armed Night. 3 Sensors Open.', 'Armed Night', '3 Sensors Open', '', ''],
+      ['Arming Away. Exit Delay.', 'Arming Away', 'Exit Delay', '', 'exit'],
+      ['Arming Stay. Exit Delay.', 'Arming Stay', 'Exit Delay', '', 'exit'],
+      ['Arming Night. Exit Delay.', 'Arming Night', 'Exit Delay', '', 'exit'],
+      ['Armed Away. Entry Delay.', 'Armed Away', 'Entry Delay', '', 'entry'],
+      ['Status Unavailable. ', 'Status Unavailable', '', '', ''],
+      ['Disarmed. Sensor Bypassed.', 'Disarmed', 'Sensor Bypassed', '', ''],
+      ['Armed Away. Sensors Bypassed.', 'Armed Away', 'Sensors Bypassed', '', ''],
+      ['Armed Away. Sensor Tripped.', 'Armed Away', 'Sensor Tripped', '', ''],
+      ['Armed Away. Sensors Tripped.', 'Armed Away', 'Sensors Tripped', '', ''],
+      ['Disarmed. Motion.', 'Disarmed', 'Motion', '', ''],
+      ['Disarmed. Uncleared Alarm.', 'Disarmed', 'Uncleared Alarm', '', ''],
+      ['Armed Away. Carbon Monoxide Alarm.', 'Armed Away', 'Carbon Monoxide Alarm', 'co', ''],
+      ['Armed Stay. FIRE ALARM.', 'Armed Stay', 'FIRE ALARM', 'fire', ''],
+      ['Armed Away. BURGLARY ALARM.', 'Armed Away', 'BURGLARY ALARM', 'burglary', ''],
+      ['Disarmed. Sensor Problem.', 'Disarmed', 'Sensor Problem', '', ''],
+      ['Disarmed.', 'Disarmed', '', '', ''],
+    ];
+
+    builds.forEach((build) => {
+      cases.forEach(([summary, state, status, alarm, delay]) => {
+        it(`parses "${summary}" (${build})`, () => {
+          const result = new Pulse().parseOrbSummary(orbWithSummary(build, summary));
+
+          assert.strictEqual(result.state, state);
+          assert.strictEqual(result.status, status);
+          assert.strictEqual(result.alarm, alarm);
+          assert.strictEqual(result.delay, delay);
+        });
+      });
+    });
+
+    it('keeps the trailing separator of the saved summary (24.0.0-117)', () => {
+      const result = new Pulse().parseOrbSummary(readFixture('24.0.0-117/orb.html'));
+
+      assert.strictEqual(result.summary, 'Armed Stay.\u00a01 Sensor Open.\u00a0');
+      assert.strictEqual(result.state, 'Armed Stay');
+      assert.strictEqual(result.status, '1 Sensor Open');
+    });
+
+    it('parses the summary page (23.0.0-99)', () => {
+      const result = new Pulse().parseOrbSummary(readFixture('23.0.0-99/summary-disarmed.html'));
+
+      assert.strictEqual(result.state, 'Disarmed');
+      assert.strictEqual(result.status, '1 Sensor Open');
+    });
+
+    it('parses an unavailable panel', () => {
+      const result = new Pulse().parseOrbSummary(readFixture('malformed/summary-unavailable.html'));
+
+      assert.strictEqual(result.state, 'Status Unavailable');
+      assert.strictEqual(result.status, '');
+    });
+
+    it('returns empty strings for a sign-in page', () => {
+      assert.deepStrictEqual(new Pulse().parseOrbSummary(readFixture('malformed/signin.html')), {
+        summary: '',
+        state: '',
+        status: '',
+        alarm: '',
+        delay: '',
+      });
+    });
+
+    it('keeps the state of a truncated page on one line', () => {
+      const result = new Pulse().parseOrbSummary(readFixture('malformed/orb-truncated.html'));
+
+      assert.strictEqual(result.state, 'Armed Away');
+      assert.strictEqual(result.summary.includes('\n'), false);
+    });
+
+    it('returns empty strings for an empty page', () => {
+      assert.strictEqual(new Pulse().parseOrbSummary('').summary, '');
+    });
+  });
+
+  describe('parseArmingDelay()', () => {
+    it('detects the exit delay from the state', () => {
+      assert.strictEqual(new Pulse().parseArmingDelay('Arming Away', ''), 'exit');
+    });
+
+    it('detects the exit delay from the status', () => {
+      assert.strictEqual(new Pulse().parseArmingDelay('Disarmed', 'Exit Delay'), 'exit');
+    });
+
+    it('detects the entry delay', () => {
+      assert.strictEqual(new Pulse().parseArmingDelay('Armed Away', 'Entry Delay'), 'entry');
+    });
+
+    it('returns an empty string without a delay', () => {
+      assert.strictEqual(new Pulse().parseArmingDelay('Armed Away', 'All Quiet'), '');
+      assert.strictEqual(new Pulse().parseArmingDelay(undefined, undefined), '');
+    });
+  });
+
+  describe('parseAlarmCause()', () => {
+    const cases = [
+      ['BURGLARY ALARM', 'burglary'],
+      ['FIRE ALARM', 'fire'],
+      ['Carbon Monoxide Alarm', 'co'],
+      ['PANIC ALARM', 'panic'],
+      ['WATER ALARM', 'other'],
+      ['Uncleared Alarm', ''],
+      ['All Quiet', ''],
+      ['', ''],
+    ];
+
+    cases.forEach(([status, cause]) => {
+      it(`returns "${cause}" for "${status}"`, () => {
+        assert.strictEqual(new Pulse().parseAlarmCause(status), cause);
+      });
+    });
+  });
+
+  describe('parseOrbZones()', () => {
+    it('parses every zone state (24.0.0-117)', () => {
+      const zones = new Pulse().parseOrbZones(readFixture('24.0.0-117/orb.html'));
+
+      assert.deepStrictEqual(zones.map((zone) => [zone.id, zone.name, zone.deviceId, zone.tags, zone.state]), [
+        ['sensor-1', 'Front Door', 2, 'sensor,doorWindow', 'devStatOpen'],
+        ['sensor-2', 'Living Room Motion', 3, 'sensor,motion', 'devStatOK'],
+        ['sensor-3', 'Hallway Motion', 4, 'sensor,motion', 'devStatMotion'],
+        ['sensor-4', 'Kitchen Glass', 5, 'sensor,glass', 'devStatLowBatt'],
+        ['sensor-5', 'Back Window', 6, 'sensor,doorWindow', 'devStatTamper'],
+        ['sensor-12', 'Upstairs Smoke', 7, 'sensor,fire', 'devStatAlarm'],
+        ['sensor-13', 'Basement Gas', 8, 'sensor,co', 'devStatUnknown'],
+      ]);
+    });
+
+    it('parses zones without device links or icons (23.0.0-99)', () => {
+      const zones = new Pulse().parseOrbZones(readFixture('23.0.0-99/orb.html'));
+
+      assert.deepStrictEqual(zones.map((zone) => [zone.id, zone.name, zone.deviceId, zone.tags, zone.state]), [
+        ['sensor-9', 'Patio Slider', 12, 'sensor,doorWindow', 'devStatOK'],
+        ['sensor-10', 'Water Heater Flood', undefined, 'sensor,water', 'devStatOK'],
+        ['sensor-11', 'Garage Freeze', undefined, 'sensor,temperature', 'devStatUnknown'],
+      ]);
+    });
+
+    it('uses cached device types', () => {
+      const pulse = new Pulse();
+
+      pulse.zoneDeviceTypes = { 3: 'Glass Break Detector' };
+
+      const zone = pulse.parseOrbZones(readFixture('24.0.0-117/orb.html'))[1];
+
+      assert.strictEqual(zone.deviceType, 'Glass Break Detector');
+      assert.strictEqual(zone.tags, 'sensor,glass');
+      assert.strictEqual(zone.detectedBy, 'device type');
+    });
+
+    it('skips rows without a zone number', () => {
+      assert.deepStrictEqual(new Pulse().parseOrbZones(readFixture('malformed/orb-truncated.html')), []);
+    });
+
+    it('returns no zones for a sign-in page', () => {
+      assert.deepStrictEqual(new Pulse().parseOrbZones(readFixture('malformed/signin.html')), []);
+    });
+  });
+
+  describe('classifyZone()', () => {
+    it('detects zones by name', () => {
+      const pulse = new Pulse();
+      const cases = [
+        ['Kitchen Glass', 'sensor,glass'],
+        ['Hallway Motion', 'sensor,motion'],
+        ['Basement Gas', 'sensor,co'],
+        ['Water Heater Flood', 'sensor,water'],
+        ['Garage Freeze', 'sensor,temperature'],
+        ['Upstairs Smoke', 'sensor,fire'],
+        ['Window Shock', 'sensor,shock'],
+        ['Bedroom Panic', 'sensor,panic'],
+        ['Kitchen Emergency Pendant', 'sensor,panic'],
+        ['Front Door', 'sensor,doorWindow'],
+        ['Patio Slider', 'sensor,doorWindow'],
+        ['Emergency Exit Door', 'sensor,doorWindow'],
+        ['Temple St Door', 'sensor,doorWindow'],
+        ['Freezer Door', 'sensor,doorWindow'],
+        ['Basement Temp', 'sensor,temperature'],
+      ];
+
+      cases.forEach(([name, tag]) => {
+        assert.deepStrictEqual(pulse.classifyZone(name, undefined, 1), {
+          tag,
+          detectedBy: 'name',
+        }, name);
+      });
+    });
+
+    it('returns no tag for unknown zones', () => {
+      assert.deepStrictEqual(new Pulse().classifyZone('Keypad', undefined, 1), {
+        tag: undefined,
+        detectedBy: undefined,
+      });
+    });
+
+    it('prefers the device type over the name', () => {
+      assert.deepStrictEqual(new Pulse().classifyZone('Front Door', 'Motion Sensor', 1), {
+        tag: 'sensor,motion',
+        detectedBy: 'device type',
+      });
+    });
+
+    it('prefers sensor rules over the device type', () => {
+      const pulse = new Pulse({
+        sensorRules: [
+          null,
+          {
+            zoneFrom: 30,
+            zoneTo: 39,
+            type: 'sensor,glass',
+          },
+        ],
+      });
+
+      assert.deepStrictEqual(pulse.classifyZone('Front Door', 'Motion Sensor', 31), {
+        tag: 'sensor,glass',
+        detectedBy: 'sensor rule #2',
+      });
+      assert.strictEqual(pulse.classifyZone('Front Door', 'Motion Sensor', 40).detectedBy, 'device type');
+    });
+
+    it('prefers overrides over sensor rules', () => {
+      const pulse = new Pulse({
+        overrideSensors: [
+          {
+            name: 'front door',
+            type: 'sensor,motion',
+          },
+        ],
+        sensorRules: [
+          {
+            name: 'door',
+            type: 'sensor,glass',
+          },
+        ],
+      });
+
+      assert.deepStrictEqual(pulse.classifyZone('Front Door', undefined, 1), {
+        tag: 'sensor,motion',
+        detectedBy: 'override',
+      });
+    });
+
+    it('matches overrides by zone ID before name', () => {
+      const pulse = new Pulse({
+        overrideSensors: [
+          {
+            id: 'sensor-3',
+            name: 'Front Door',
+            type: 'sensor,shock',
+          },
+        ],
+      });
+
+      assert.strictEqual(pulse.classifyZone('Back Door', undefined, 3).tag, 'sensor,shock');
+      assert.strictEqual(pulse.classifyZone('Front Door', undefined, 1).detectedBy, 'name');
+    });
+
+    it('ignores overrides without a type', () => {
+      const pulse = new Pulse({
+        overrideSensors: [
+          {
+            id: 'sensor-1',
+            displayName: 'Entry',
+          },
+        ],
+      });
+
+      assert.strictEqual(pulse.classifyZone('Front Door', undefined, 1).detectedBy, 'name');
+    });
+  });
+
+  describe('matchSensorRule()', () => {
+    const pulse = new Pulse();
+
+    it('requires every condition to match', () => {
+      const rule = {
+        name: ' WIN$',
+        zoneFrom: 10,
+        deviceType: 'door/window',
+      };
+
+      assert.strictEqual(pulse.matchSensorRule(rule, 'Z12 LR WIN', 'Door/Window Sensor', 12), true);
+      assert.strictEqual(pulse.matchSensorRule(rule, 'Z12 LR WIN', 'Door/Window Sensor', 9), false);
+      assert.strictEqual(pulse.matchSensorRule(rule, 'Z12 LR DR', 'Door/Window Sensor', 12), false);
+      assert.strictEqual(pulse.matchSensorRule(rule, 'Z12 LR WIN', undefined, 12), false);
+    });
+
+    it('never matches rules without conditions', () => {
+      assert.strictEqual(pulse.matchSensorRule({ type: 'sensor,glass' }, 'Front Door', undefined, 1), false);
+    });
+
+    it('never matches invalid regular expressions', () => {
+      assert.strictEqual(pulse.matchSensorRule({ name: '(' }, 'Front Door', undefined, 1), false);
+    });
+  });
+
+  describe('parseDeviceType()', () => {
+    const cases = [
+      ['Door/Window Sensor', 'sensor,doorWindow'],
+      ['Glass Break Detector', 'sensor,glass'],
+      ['Motion Sensor', 'sensor,motion'],
+      ['Carbon Monoxide Detector', 'sensor,co'],
+      ['Smoke/Heat Detector', 'sensor,fire'],
+      ['Water/Flood Sensor', 'sensor,water'],
+      ['Temperature Sensor', 'sensor,temperature'],
+      ['Shock Sensor', 'sensor,shock'],
+      ['Panic Button', 'sensor,panic'],
+      ['Keyfob', undefined],
+      ['', undefined],
+      [undefined, undefined],
+    ];
+
+    cases.forEach(([deviceType, tag]) => {
+      it(`returns "${tag}" for "${deviceType}"`, () => {
+        assert.strictEqual(new Pulse().parseDeviceType(deviceType), tag);
+      });
+    });
+  });
+
+  describe('parseDeviceInformation()', () => {
+    it('parses a zone device page (24.0.0-117)', () => {
+      assert.deepStrictEqual(new Pulse().parseDeviceInformation(readFixture('24.0.0-117/device-zone.html')), {
+        name: 'Front Door',
+        make: 'ADT',
+        type: 'Door/Window Sensor',
+      });
+    });
+
+    it('parses the security panel device page (23.0.0-99)', () => {
+      assert.deepStrictEqual(new Pulse().parseDeviceInformation(readFixture('23.0.0-99/device-panel.html')), {
+        name: 'Security Panel',
+        make: 'ADT',
+        type: 'Security Panel - Safewatch Pro 3000/3000CN',
+      });
+    });
+
+    it('returns empty strings for a sign-in page', () => {
+      assert.deepStrictEqual(new Pulse().parseDeviceInformation(readFixture('malformed/signin.html')), {
+        name: '',
+        make: '',
+        type: '',
+      });
+    });
+  });
+
+  describe('parseSatCode()', () => {
+    it('parses the sat code when disarmed (24.0.0-117)', () => {
+      assert.strictEqual(new Pulse().parseSatCode(readFixture('24.0.0-117/summary-disarmed.html')), '5c9ba7c4-1f67-43a1-b5c1-3e5e2b7d3a10');
+    });
+
+    it('parses the sat code when armed (24.0.0-117)', () => {
+      assert.strictEqual(new Pulse().parseSatCode(readFixture('24.0.0-117/summary-armed.html')), '0a1b2c3d-4e5f-6789-abcd-ef0123456789');
+    });
+
+    it('parses the sat code (23.0.0-99)', () => {
+      assert.strictEqual(new Pulse().parseSatCode(readFixture('23.0.0-99/summary-disarmed.html')), '9f8e7d6c-5b4a-3210-fedc-ba9876543210');
+    });
+
+    it('returns undefined without security buttons', () => {
+      assert.strictEqual(new Pulse().parseSatCode(readFixture('malformed/summary-unavailable.html')), undefined);
+      assert.strictEqual(new Pulse().parseSatCode(readFixture('malformed/signin.html')), undefined);
+    });
+  });
+
+  describe('parseForceArmSatCode()', () => {
+    it('parses the "Arm Anyway" sat code (24.0.0-117)', () => {
+      assert.strictEqual(new Pulse().parseForceArmSatCode(readFixture('24.0.0-117/arm-disarm-force.html')), '5c9ba7c4-1f67-43a1-b5c1-3e5e2b7d3a10');
+    });
+
+    it('parses the "Arm Anyway" sat code after other buttons (23.0.0-99)', () => {
+      assert.strictEqual(new Pulse().parseForceArmSatCode(readFixture('23.0.0-99/arm-disarm-force.html')), '9f8e7d6c-5b4a-3210-fedc-ba9876543210');
+    });
+
+    it('returns undefined when the panel accepted the request', () => {
+      assert.strictEqual(new Pulse().parseForceArmSatCode(readFixture('24.0.0-117/arm-disarm.html')), undefined);
+    });
+
+    it('returns undefined for a sign-in page', () => {
+      assert.strictEqual(new Pulse().parseForceArmSatCode(readFixture('malformed/signin.html')), undefined);
+    });
+  });
+
+  describe('getErrorMessage()', () => {
+    it('returns the sign-in warning as text', () => {
+      assert.strictEqual(new Pulse().getErrorMessage(readFixture('malformed/signin.html')), 'Your session has expired. Please sign in again.');
+    });
+
+    it('returns null without a warning', () => {
+      assert.strictEqual(new Pulse().getErrorMessage(readFixture('24.0.0-117/arm-disarm.html')), null);
+      assert.strictEqual(new Pulse().getErrorMessage(''), null);
+    });
+  });
+});
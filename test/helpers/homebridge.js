@@ -0,0 +1,76 @@
+/**
+ * Stub Homebridge.
+ *
+ * Stands in for the Homebridge API passed to "index.js", with only the parts of "hap" the platform needs to run
+ * panel commands. Accessories are not registered, so HomeKit updates are skipped.
+ *
+ * @since 2.2.0
+ */
+const plugin = require('../../index');
+
+const hap = {
+  Service: {},
+  Characteristic: {
+    SecuritySystemCurrentState: {
+      STAY_ARM: 0,
+      AWAY_ARM: 1,
+      NIGHT_ARM: 2,
+      DISARMED: 3,
+      ALARM_TRIGGERED: 4,
+    },
+    SecuritySystemTargetState: {
+      STAY_ARM: 0,
+      AWAY_ARM: 1,
+      NIGHT_ARM: 2,
+      DISARM: 3,
+    },
+    StatusFault: {
+      NO_FAULT: 0,
+      GENERAL_FAULT: 1,
+    },
+  },
+  uuid: {
+    generate: (id) => `uuid-${id}`,
+  },
+};
+
+/**
+ * Create platform.
+ *
+ * @param {object} config - The platform configuration (credentials are filled in).
+ *
+ * @returns {object} - The platform, without a Homebridge API (nothing is synced until a test asks for it).
+ *
+ * @since 2.2.0
+ */
+function createPlatform(config) {
+  const log = {
+    error: () => {},
+    warn: () => {},
+    info: () => {},
+    debug: () => {},
+  };
+
+  let Platform;
+
+  plugin({
+    hap,
+    platformAccessory: function platformAccessory() {},
+    registerPlatform: (pluginName, platformName, constructor) => {
+      Platform = constructor;
+    },
+  });
+
+  return new Platform(log, {
+    platform: 'ADTPulse',
+    username: 'email@email.com',
+    password: '1234567890',
+    fingerprint: 'fingerprint',
+    ...config,
+  }, null);
+}
+
+module.exports = {
+  hap,
+  createPlatform,
+};
@@ -0,0 +1,116 @@
+/**
+ * Stub transport.
+ *
+ * Stands in for the "request" module (see the "transport" option of "api.js"). Requests are answered from "routes",
+ * keyed by method and path without the portal version (e.g. "GET /ajax/orb.jsp"). A route is either a response or
+ * a function called with the request that returns one. A response can set "body", "path" (the path after
+ * redirects, defaults to the requested path), and "error".
+ *
+ * @since 2.2.0
+ */
+const fs = require('fs');
+const path = require('path');
+
+const version = '24.0.0-117';
+
+/**
+ * Read fixture.
+ *
+ * @param {string} name - The fixture path (e.g. "24.0.0-117/orb.html").
+ *
+ * @returns {string}
+ *
+ * @since 2.2.0
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+/**
+ * Create transport.
+ *
+ * @param {object} routes - The routes.
+ *
+ * @returns {object} - The transport, with "requests" (every request made) and "logins" (cookie jars created).
+ *
+ * @since 2.2.0
+ */
+function createTransport(routes) {
+  const transport = {
+    requests: [],
+    logins: 0,
+  };
+
+  // Logging in lands on the summary page, unless a route says otherwise.
+  const defaultRoutes = {
+    'GET /': {
+      path: `/myhome/${version}/access/signin.jsp`,
+    },
+    'POST /access/signin.jsp': {
+      path: `/myhome/${version}/summary/summary.jsp`,
+      body: readFixture(`${version}/summary-disarmed.html`),
+    },
+  };
+
+  const respond = (method, url, options, callback) => {
+    const theUrl = new URL(url);
+    const thePath = theUrl.pathname.replace(/^\/myhome\/[0-9.-]+/, '') || '/';
+    const theRequest = {
+      method,
+      path: thePath,
+      query: Object.fromEntries(theUrl.searchParams),
+      form: options.form,
+    };
+    const theRoute = routes[`${method} ${thePath}`] || defaultRoutes[`${method} ${thePath}`];
+    const theResponse = (typeof theRoute === 'function') ? theRoute(theRequest) : theRoute;
+
+    transport.requests.push(theRequest);
+
+    setImmediate(() => {
+      if (theResponse === undefined) {
+        callback(null, { request: { uri: { path: theUrl.pathname } } }, '<html><body>Not Found</body></html>');
+        return;
+      }
+
+      callback(
+        theResponse.error || null,
+        { request: { uri: { path: theResponse.path || `${theUrl.pathname}${theUrl.search}` } } },
+        theResponse.body || '',
+      );
+    });
+  };
+
+  transport.get = (url, options, callback) => respond('GET', url, options, callback);
+  transport.post = (url, options, callback) => respond('POST', url, options, callback);
+  transport.jar = () => {
+    transport.logins += 1;
+
+    return {
+      setCookie: () => {},
+      getCookies: () => [],
+    };
+  };
+
+  return transport;
+}
+
+/**
+ * Expired response.
+ *
+ * @returns {object} - A response that redirected to the sign-in page.
+ *
+ * @since 2.2.0
+ */
+function expiredResponse() {
+  return {
+    path: `/myhome/${version}/access/signin.jsp`,
+    body: readFixture('malformed/signin.html'),
+  };
+}
+
+module.exports = {
+  version,
+  readFixture,
+  createTransport,
+  expiredResponse,
+};
@@ -0,0 +1,246 @@
+/**
+ * ADT Pulse platform panel command tests.
+ *
+ * @since 2.2.0
+ */
+const assert = require('assert');
+const q = require('q');
+
+const { hap, createPlatform } = require('./helpers/homebridge');
+
+const { SecuritySystemTargetState } = hap.Characteristic;
+
+describe('ADTPulsePlatform panel commands', () => {
+  const summaries = {
+    off: ['Disarmed', 'All Quiet'],
+    away: ['Armed Away', 'All Quiet'],
+    stay: ['Armed Stay', 'All Quiet'],
+    night: ['Armed Night', 'All Quiet'],
+  };
+
+  /**
+   * Create panel.
+   *
+   * A stub "site.pulse" that switches to the requested state as soon as it is set.
+   *
+   * @param {object} platform - The platform.
+   *
+   * @returns {object} - The panel, with "requests" (every "from -> to" sent).
+   *
+   * @since 2.2.0
+   */
+  const createPanel = (platform) => {
+    const [site] = platform.sites;
+    const panel = {
+      state: 'Disarmed',
+      status: 'All Quiet',
+      delay: '',
+      requests: [],
+      onSet: (from, to) => {
+        [panel.state, panel.status] = summaries[to];
+        panel.delay = '';
+
+        return Promise.resolve({ action: 'SET_DEVICE_STATUS', success: true, info: {} });
+      },
+    };
+
+    const getInfo = () => ({
+      name: 'Security Panel',
+      summary: `${panel.state}. ${panel.status}.`,
+      state: panel.state,
+      status: panel.status,
+      alarm: '',
+      delay: panel.delay,
+    });
+
+    site.pulse = {
+      login: () => Promise.resolve(),
+      getDeviceStatus: () => Promise.resolve({ action: 'GET_DEVICE_STATUS', success: true, info: getInfo() }),
+      setDeviceStatus: (from, to) => {
+        panel.requests.push(`${from} -> ${to}`);
+
+        return panel.onSet(from, to);
+      },
+    };
+    site.deviceStatus = getInfo();
+    panel.site = site;
+
+    return panel;
+  };
+
+  /**
+   * Set up.
+   *
+   * @param {object} config - The platform configuration.
+   *
+   * @returns {object} - The platform and the panel.
+   *
+   * @since 2.2.0
+   */
+  const setUp = (config) => {
+    const platform = createPlatform(config);
+
+    // Poll every 10 ms instead of every second.
+    platform.setDeviceInterval = 0.01;
+
+    return {
+      platform,
+      panel: createPanel(platform),
+    };
+  };
+
+  /**
+   * Tap.
+   *
+   * @param {object} platform - The platform.
+   * @param {number} state    - The target state.
+   *
+   * @returns {Promise<(null|Error)>} - The error HomeKit would be called back with.
+   *
+   * @since 2.2.0
+   */
+  const tap = (platform, state) => new Promise((resolve) => {
+    platform.setDeviceAccessory('system-1', 'Security Panel', state, resolve);
+  });
+
+  /**
+   * Wait until idle.
+   *
+   * @param {object} site - The site.
+   *
+   * @returns {Promise<void>}
+   *
+   * @since 2.2.0
+   */
+  const waitUntilIdle = (site) => new Promise((resolve) => {
+    const check = () => {
+      if (site.activeCommand === undefined && site.pendingCommand === undefined) {
+        resolve();
+      } else {
+        setTimeout(check, 10);
+      }
+    };
+
+    check();
+  });
+
+  it('sends only the latest request when taps arrive while a command runs', async () => {
+    const { platform, panel } = setUp({});
+
+    const results = await Promise.all([
+      tap(platform, SecuritySystemTargetState.AWAY_ARM),
+      tap(platform, SecuritySystemTargetState.STAY_ARM),
+      tap(platform, SecuritySystemTargetState.NIGHT_ARM),
+    ]);
+
+    // "Stay" was replaced while "away" was running, so it resolves without being sent.
+    assert.deepStrictEqual(results, [null, null, null]);
+    assert.deepStrictEqual(panel.requests, ['disarmed -> away', 'away -> off', 'disarmed -> night']);
+    assert.strictEqual(panel.state, 'Armed Night');
+    assert.strictEqual(panel.site.requestedState, undefined);
+  });
+
+  it('reports the requested target state until the command finishes', async () => {
+    const { platform, panel } = setUp({});
+
+    const result = tap(platform, SecuritySystemTargetState.AWAY_ARM);
+
+    assert.strictEqual(platform.getDeviceStatus('target', 'system-1', true), SecuritySystemTargetState.AWAY_ARM);
+
+    await result;
+
+    assert.strictEqual(panel.site.requestedState, undefined);
+    assert.strictEqual(platform.getDeviceStatus('target', 'system-1', true), SecuritySystemTargetState.AWAY_ARM);
+  });
+
+  it('cancels a held arm request when a newer request arrives', async () => {
+    const { platform, panel } = setUp({ armWhenReady: 5 });
+
+    panel.site.zoneStatus = [{
+      id: 'sensor-1',
+      name: 'Front Door',
+      tags: 'sensor,doorWindow',
+      state: 'devStatOpen',
+    }];
+
+    // Held requests are answered right away.
+    assert.strictEqual(await tap(platform, SecuritySystemTargetState.AWAY_ARM), null);
+    assert.strictEqual(panel.site.isCommandHeld, true);
+    assert.strictEqual(panel.site.isCommandRunning, false);
+
+    assert.strictEqual(await tap(platform, SecuritySystemTargetState.DISARM), null);
+
+    await waitUntilIdle(panel.site);
+
+    assert.deepStrictEqual(panel.requests, []);
+    assert.strictEqual(panel.site.requestedState, undefined);
+    assert.strictEqual(platform.getDeviceStatus('target', 'system-1', true), SecuritySystemTargetState.DISARM);
+  });
+
+  it('arms a held request once doors and windows are closed', async () => {
+    const { platform, panel } = setUp({ armWhenReady: 5 });
+    const zone = {
+      id: 'sensor-1',
+      name: 'Front Door',
+      tags: 'sensor,doorWindow',
+      state: 'devStatOpen',
+    };
+
+    panel.site.zoneStatus = [zone];
+
+    await tap(platform, SecuritySystemTargetState.AWAY_ARM);
+
+    zone.state = 'devStatOK';
+
+    await waitUntilIdle(panel.site);
+
+    assert.deepStrictEqual(panel.requests, ['disarmed -> away']);
+    assert.strictEqual(panel.state, 'Armed Away');
+  });
+
+  it('calls back with an error and reverts the target state when the command fails', async () => {
+    const { platform, panel } = setUp({});
+
+    // Rejects the way "api.js" does (with a response object, not an Error).
+    panel.onSet = () => {
+      const deferred = q.defer();
+
+      deferred.reject({
+        action: 'SET_DEVICE_STATUS',
+        success: false,
+        info: {
+          message: 'Arm Anyway is not allowed by the "never" force arm policy.',
+        },
+      });
+
+      return deferred.promise;
+    };
+
+    const result = await tap(platform, SecuritySystemTargetState.AWAY_ARM);
+
+    assert.ok(result instanceof Error);
+    assert.strictEqual(panel.site.requestedState, undefined);
+    assert.strictEqual(platform.getDeviceStatus('target', 'system-1', true), SecuritySystemTargetState.DISARM);
+  });
+
+  it('does not confirm a disarm while the exit delay is running', async () => {
+    const { platform, panel } = setUp({});
+
+    [panel.state, panel.status, panel.delay] = ['Arming Away', 'Exit Delay', 'exit'];
+    panel.site.deviceStatus = {
+      summary: 'Arming Away. Exit Delay.',
+      state: panel.state,
+      status: panel.status,
+      delay: panel.delay,
+    };
+
+    // The disarm request is lost, so the panel keeps arming.
+    panel.onSet = () => Promise.resolve({ action: 'SET_DEVICE_STATUS', success: true, info: {} });
+    platform.setDeviceTimeout = 0.1;
+
+    const result = await tap(platform, SecuritySystemTargetState.DISARM);
+
+    assert.ok(result instanceof Error);
+    assert.deepStrictEqual(panel.requests, ['away -> off']);
+  });
+});